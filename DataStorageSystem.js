@@ -1,4 +1,7 @@
-import { system, MolangVariableMap, world } from '@minecraft/server';
+import { resolveBackend, estimateByteCount, RecordingBackend, StorageBackendError } from './StorageBackends.js';
+import { sha256, hmacSha256, applyKeystream, bytesEqual, randomBytes, utf8Encode, utf8Decode, toHex } from './StorageCrypto.js';
+
+export * from './StorageBackends.js';
 /*
 Verbesserungs ansätze, Json Formate im Stringformat
 Verschiebe Primitive auf Scoreboard/Tags, damit Dynamic-Properties nur noch komplexe Objekte enthalten; spart Speicher und CPU.
@@ -24,7 +27,72 @@ Halte den Code schlank: Eine einzige serialize(instance, registry)-Funktion mit
  *
  * The storage reference system now handles circular references correctly. Objects that reference
  * themselves directly or indirectly, as well as mutually referencing objects, are properly managed.
+ *
+ * This module does not depend on `@minecraft/server`. All reads and writes go through a storage
+ * backend (see StorageBackends.js). Inside the game, import MinecraftStorage.js once to register
+ * `world` as the default storage destination.
+ */
+
+/**
+ * Storage destination used when `Save`/`Load` are called without one.
+ */
+let defaultStorage = null;
+
+/**
+ * Sets the storage destination used when no `storageDest` is passed to `Save`/`Load`.
+ *
+ * @param {*} storageDest - A backend or an object with dynamic property methods (e.g. `world`).
+ */
+export function setDefaultStorage(storageDest) {
+    defaultStorage = storageDest == null ? null : resolveBackend(storageDest);
+}
+
+/**
+ * Returns the default storage destination. Older versions used `world` from `@minecraft/server`;
+ * this module no longer imports it, so the default is only set by MinecraftStorage.js or
+ * `setDefaultStorage()`.
+ *
+ * @returns {import('./StorageBackends.js').StorageBackend} The default backend.
+ * @throws {Error} If no default storage destination is set.
+ */
+export function getDefaultStorage() {
+    if (!defaultStorage) {
+        throw new Error(
+            "No default storage destination set. `world` is no longer the default of DataStorageSystem.js: " +
+            "import MinecraftStorage.js instead, call setDefaultStorage() or pass a storage destination."
+        );
+    }
+    return defaultStorage;
+}
+
+/**
+ * Keys derived from the secret set with `setStorageSecret()`, `null` without a secret.
+ */
+let storageKeys = null;
+
+/**
+ * Sets the secret used for the MACs of roots saved with `integrity: "mac"` and for the fields
+ * classes encrypt (see the `encrypt` option of `registerClass()`). Separate keys for both uses
+ * are derived from it. Keep it in your add-on's scripts; anyone who knows it can read and
+ * forge the protected data.
+ *
+ * @param {string|null} secret - The secret, `null` removes it.
  */
+export function setStorageSecret(secret) {
+    if (secret == null) {
+        storageKeys = null;
+        return;
+    }
+    if (typeof secret !== "string" || secret.length === 0) {
+        throw new Error("The storage secret must be a non-empty string.");
+    }
+    const key = utf8Encode(secret);
+    storageKeys = {
+        integrity: hmacSha256(key, utf8Encode("DataStorageSystem/integrity")),
+        encryption: hmacSha256(key, utf8Encode("DataStorageSystem/encryption")),
+        authentication: hmacSha256(key, utf8Encode("DataStorageSystem/authentication"))
+    };
+}
 
 /**
  * Registry for class constructors.
@@ -38,7 +106,7 @@ export let KlassenRegistry = null;
 
 /**
  * Initializes the KlassenRegistry with a mapping from type strings to class constructors.
- * Be sure to include any class you wish to restore from the dynamic properties here.
+ * Classes registered with `registerClass()` are kept when the registry is rebuilt.
  */
 export function initializeClasses() {
     KlassenRegistry = {
@@ -46,6 +114,125 @@ export function initializeClasses() {
         "Map": Map,
         "Set": Set
     };
+    for (const [name, options] of registeredClasses) {
+        KlassenRegistry[name] = options.ctor;
+    }
+}
+
+/**
+ * Storage options of classes registered with `registerClass()`.
+ * - Key: The type identifier
+ * - Value: The normalized options including the constructor
+ */
+const registeredClasses = new Map();
+
+/**
+ * Maps constructors registered with `registerClass()` to their type identifier, so that
+ * instances don't need their own "type" property.
+ */
+const registeredTypeNames = new Map();
+
+/**
+ * Registers a class for saving and loading. Each add-on module can register its own types
+ * without changing this file.
+ *
+ * Serialization hooks can be passed as options or declared on the class itself:
+ * `toStorage()` as instance method, `fromStorage(data)` as static method, `onBeforeSave()` and
+ * `onAfterLoad()` as instance methods. Options take precedence over methods.
+ *
+ * @param {string} name - The type identifier stored with each instance.
+ * @param {Function} ctor - The class constructor. It must be callable without arguments
+ *        unless the class provides `fromStorage`.
+ * @param {object} [options={}] - Storage options of the class.
+ * @param {function(*): *} [options.toStorage] - Returns the data to store instead of the instance's fields.
+ * @param {function(*): *} [options.fromStorage] - Creates an instance from the data returned by `toStorage`.
+ * @param {function(*): void} [options.onBeforeSave] - Called with the instance before it is saved.
+ * @param {function(*): void} [options.onAfterLoad] - Called with the instance after it was loaded,
+ *        e.g. to rebuild caches that were skipped during saving.
+ * @param {string[]} [options.ignore=[]] - Fields of this class that are never saved.
+ * @param {Object<string, string>} [options.abbreviations={}] - Short names for fields of this class.
+ * @param {boolean} [options.referenceBased=false] - Saves instances once and stores references to them
+ *        everywhere else (see `typesForReferenceBasedStorageSystem`).
+ * @param {Object<string, (string|string[]|object)>} [options.schema] - Describes the fields of this class,
+ *        see `applySchema()`. A field is described by its type name(s) or by an object with `type`,
+ *        `default`, `required`, `min`, `max` and `coerce`. Can't be combined with `toStorage`.
+ * @param {(boolean|Object<string, (string|object)>)} [options.routes] - Fields stored as scoreboard scores
+ *        or tags instead of dynamic properties, see `fieldRoute()`. `true` routes every integer field
+ *        to the objective and every boolean field to the tag named like the field. Per field,
+ *        `"score"`, `"tag"`, `{ score: objective }` or `{ tag: name }` select the target.
+ *        Can't be combined with `toStorage`.
+ * @param {string[]} [options.encrypt=[]] - Fields of this class that are stored encrypted with the
+ *        storage secret, see `encryptValue()`. Encrypted fields are never routed. Can't be combined
+ *        with `toStorage`.
+ */
+export function registerClass(name, ctor, options = {}) {
+    if (typeof name !== "string" || name.length === 0) {
+        throw new Error("Class name must be a non-empty string.");
+    }
+    if (typeof ctor !== "function") {
+        throw new Error("Class constructor must be a function. " + JSON.stringify({ name }));
+    }
+    if (isReservedTypeName(name)) {
+        throw new Error("Type name is reserved by the storage system. " + JSON.stringify({ name }));
+    }
+    const abbreviations = new Map(Object.entries(options.abbreviations ?? {}));
+    if (abbreviations.has("type")) {
+        throw new Error("The type field can't be abbreviated per class. " + JSON.stringify({ name }));
+    }
+    const toStorage = options.toStorage ??
+        (typeof ctor.prototype?.toStorage === "function" ? instance => instance.toStorage() : undefined);
+    const fromStorage = options.fromStorage ??
+        (typeof ctor.fromStorage === "function" ? data => ctor.fromStorage(data) : undefined);
+    if (!toStorage !== !fromStorage) {
+        throw new Error("toStorage and fromStorage must be provided together. " + JSON.stringify({ name }));
+    }
+    if (options.schema && toStorage) {
+        throw new Error("A schema describes fields and can't be combined with toStorage. " + JSON.stringify({ name }));
+    }
+    if (options.routes && toStorage) {
+        throw new Error("Routes apply to fields and can't be combined with toStorage. " + JSON.stringify({ name }));
+    }
+    if (options.encrypt?.length && toStorage) {
+        throw new Error("Encryption applies to fields and can't be combined with toStorage. " + JSON.stringify({ name }));
+    }
+
+    registeredClasses.set(name, {
+        ctor,
+        toStorage,
+        fromStorage,
+        onBeforeSave: options.onBeforeSave,
+        onAfterLoad: options.onAfterLoad,
+        ignore: new Set(options.ignore ?? []),
+        abbreviations,
+        expansions: new Map([...abbreviations].map(([key, short]) => [short, key])),
+        schema: options.schema ? normalizeSchema(name, options.schema) : null,
+        routes: options.routes ? normalizeRoutes(name, options.routes) : null,
+        encrypt: new Set(options.encrypt ?? [])
+    });
+    registeredTypeNames.set(ctor, name);
+    if (toStorage) typesWithCostumizedStorageSystem.add(name);
+    if (options.referenceBased) typesForReferenceBasedStorageSystem.add(name);
+    else typesForReferenceBasedStorageSystem.delete(name);
+
+    if (!KlassenRegistry) initializeClasses();
+    KlassenRegistry[name] = ctor;
+}
+
+/**
+ * Decorator-style variant of `registerClass()`. Works as a decorator where the runtime or
+ * build supports them, and as a plain function call otherwise:
+ *
+ *     const Wallet = storable("Wallet", { ignore: ["cache"] })(class Wallet { ... });
+ *
+ * @param {string} name - The type identifier stored with each instance.
+ * @param {object} [options={}] - Storage options, see `registerClass()`.
+ * @returns {function(Function): Function} Registers the decorated class and returns it unchanged.
+ */
+export function storable(name, options = {}) {
+    return (ctor) => {
+        registerClass(name, ctor, options);
+        return ctor;
+    };
 }
 
 /**
@@ -62,28 +249,161 @@ const ignoreProperties = new Set([
  * These typically represent objects with unique serialization needs,
  * or specialized classes that don't follow the default property-based approach (e.g., a Vector class).
  */
-const typesWithCostumizedStorageSystem = new Set(["Array", "storageReference", "Set", "Map"]);
+const typesWithCostumizedStorageSystem = new Set(["Array", "storageReference", "Set", "Map", "Blob", "Encrypted"]);
+
+/**
+ * Class tags of loaded objects whose class isn't registered, so that they are stored with the
+ * same tag again, e.g. by `importRoot()` or after a raw load.
+ * - Key: The loaded object
+ * - Value: The stored class tag
+ */
+const loadedClassTags = new WeakMap();
+
+/**
+ * Whether a name is a type tag of the storage system itself (Arrays, references, special values, ...)
+ * and therefore can't be the tag of a class.
+ */
+function isReservedTypeName(name) {
+    return specialValueTypes.has(name) || (typesWithCostumizedStorageSystem.has(name) && !registeredClasses.has(name));
+}
+
+/**
+ * Whether a name identifies a class registered with `registerClass()` or added to `KlassenRegistry`.
+ */
+function isClassName(name) {
+    if (typeof name !== "string" || isReservedTypeName(name)) return false;
+    return registeredClasses.has(name) || (KlassenRegistry != null && Object.hasOwn(KlassenRegistry, name));
+}
+
+/**
+ * Returns the `type` field of an object if it is stored as the class tag of its node: it names a
+ * class, or the object was loaded from that tag. Any other `type` is stored as an ordinary field,
+ * so a value like `"Map"` or `"Date"` can't be mistaken for a tag of the storage system.
+ *
+ * @param {object} instance - The object.
+ * @returns {string|undefined} The class tag.
+ */
+function classTagOf(instance) {
+    const type = instance.type;
+    if (isClassName(type)) return type;
+    const tag = loadedClassTags.get(proxyTargets.get(instance) ?? instance);
+    return tag !== undefined && tag === type && !isReservedTypeName(tag) ? tag : undefined;
+}
 
 /**
  * A set of types that should be saved using reference-based storage instead of
  * a direct recursive approach. This helps to avoid duplicating objects multiple times.
+ * The first occurrence of an instance is stored where it is found; every later occurrence
+ * stores a reference whose pointer is the key of that first occurrence. With the save option
+ * `trackAllReferences`, this applies to every object.
  */
 const typesForReferenceBasedStorageSystem = new Set([
 ]);
 
 /**
- * Internal map that tracks saved storage references.
- * - Key: The actual instance
- * - Value: The unique storage pointer string
+ * Tracks the storage references of a save or load.
+ *
+ * Every top-level `Save`/`Load` call runs in its own session unless one is passed with
+ * `options.session`. Without one, references (pointers) only ever lead to nodes of the same root
+ * written by the same save, so re-saving or deleting one root never breaks another. Saves that
+ * pass a session store tracked objects once in the shared area of the backend instead
+ * (`%shared/<identity>`, see `identityOf()`), and every root that contains them stores a reference
+ * to it. Loads that share a session return the same object for all these references.
+ */
+export class StorageSession {
+    constructor() {
+        /**
+         * Sources of new identities per storage destination, see `identityOf()`.
+         * - Key: The base storage backend
+         * - Value: `{ prefix, next }`, the identities of the session are `<prefix>.<next>`
+         */
+        this.identitySources = new WeakMap();
+
+        /**
+         * Loaded storage references per storage destination.
+         * - Key: The storage backend
+         * - Value: Map from the storage pointer string to an object containing the loading state
+         *   and the actual instance once loaded
+         */
+        this.loadedReferences = new WeakMap();
+    }
+
+    /**
+     * Returns the loaded references for a storage destination.
+     *
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @returns {Map<string, {isLoaded: boolean, value: *}>} Pointer to loading state.
+     */
+    loadedReferencesFor(storageDest) {
+        return getOrCreate(this.loadedReferences, baseBackend(storageDest), () => new Map());
+    }
+
+    /**
+     * Forgets all tracked references.
+     */
+    clear() {
+        this.identitySources = new WeakMap();
+        this.loadedReferences = new WeakMap();
+    }
+}
+
+/**
+ * Returns the identity under which a tracked object is stored in the shared area of a backend
+ * (`%shared/<identity>`). An object keeps the identity it was saved or loaded with before, so
+ * saving it again updates the same node for every root. Other objects get a new identity,
+ * starting with a number counted up under `%sessions` once per session and storage destination,
+ * so identities are unique within the destination. The identities of a backend are kept in its
+ * `sharedIdentities`.
+ *
+ * @param {object} instance - The tracked object.
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @param {object} context - State of the current save, see `Save.saveValue()`.
+ * @returns {string} The identity.
+ */
+function identityOf(instance, storageDest, context) {
+    // Snapshots of `saveInstanceAsync()` keep the identities of the objects they were copied from.
+    instance = context.originals?.get(instance) ?? instance;
+    const base = baseBackend(storageDest);
+    if (base.sharedIdentities.has(instance)) return base.sharedIdentities.get(instance);
+    const source = getOrCreate(context.session.identitySources, base, () => {
+        // Counted on the underlying backend, outside of any root, so that no save removes it.
+        const prefix = (base.get(pathLayout.identitySessions) ?? 0) + 1;
+        base.set(pathLayout.identitySessions, prefix);
+        return { prefix, next: 0 };
+    });
+    const identity = `${source.prefix}.${source.next++}`;
+    base.sharedIdentities.set(instance, identity);
+    return identity;
+}
+
+/**
+ * Remembers the identity of an object loaded from the shared area, so that saving it again with
+ * a session updates the same node.
+ */
+function rememberIdentity(instance, storageDest, identity) {
+    if (instance === null || typeof instance !== "object") return;
+    baseBackend(storageDest).sharedIdentities.set(instance, identity);
+}
+
+/**
+ * Returns the backend that finally stores the data, unwrapping recording backends.
  */
-const savedStorageReferences = new Map();
+function baseBackend(storageDest) {
+    while (storageDest.target) storageDest = storageDest.target;
+    return storageDest;
+}
 
 /**
- * Internal map that tracks loaded storage references.
- * - Key: The unique storage pointer string
- * - Value: An object containing the loading state and the actual instance once loaded.
+ * Returns the value stored for a key, creating it first if necessary.
  */
-const loadedStorageReferences = new Map();
+function getOrCreate(map, key, create) {
+    let value = map.get(key);
+    if (value === undefined) {
+        value = create();
+        map.set(key, value);
+    }
+    return value;
+}
 
 /**
  * A map for abbreviating property keys during saving.
@@ -95,414 +415,4136 @@ const abbreviationsMap = new Map([
 
 /**
  * A map for expanding abbreviated property keys during loading.
- * Restores the original property names based on abbreviated keys.
+ * Derived from `abbreviationsMap`, so that both directions always match.
  */
-const abbreviationsLoad = new Map([
-    ['abbreviation', 'property']
-]);
+const abbreviationsLoad = new Map([...abbreviationsMap].map(([key, short]) => [short, key]));
 
 /**
- * Class responsible for saving instances to the dynamic property storage.
- * Main entry point is the static method `saveInstance()`.
+ * Returns the (possibly abbreviated) property name under which the type of an instance is stored.
  */
-export class Save {
+function typeKey() {
+    return abbreviationsMap.get("type") ?? "type";
+}
+
+/**
+ * Returns the stored name of a field, using the abbreviations of the class first, then the
+ * dictionary of the root if it has one.
+ */
+function abbreviate(type, key, dictionary = null) {
+    const short = registeredClasses.get(type)?.abbreviations.get(key);
+    if (short !== undefined) return short;
+    return dictionary ? dictionary.abbreviate(key) : abbreviationsMap.get(key) ?? key;
+}
+
+/**
+ * Returns the original name of a stored field, the inverse of `abbreviate()`.
+ */
+function expand(type, key, dictionary = null) {
+    const name = registeredClasses.get(type)?.expansions.get(key);
+    if (name !== undefined) return name;
+    return dictionary ? dictionary.expand(key) : abbreviationsLoad.get(key) ?? key;
+}
+
+/**
+ * Characters of the codes of an `AbbreviationDictionary`.
+ */
+const dictionaryCodeChars = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+
+/**
+ * Number of codes with at most two characters after the "~". The dictionary doesn't grow beyond.
+ */
+const maxDictionarySize = dictionaryCodeChars.length * (dictionaryCodeChars.length + 1);
+
+/**
+ * Field name abbreviations derived from the stored data, see `updateDictionary()`.
+ *
+ * The names are the single source of truth: the code of a name is derived from its index
+ * ("~a", "~b", ..., "~9", "~aa", ...), and a code is expanded by looking up the index. Every
+ * backend has one dictionary that only ever grows, so a code keeps its meaning and data saved
+ * with an older, shorter version still expands correctly. Stored names that start with "~" but
+ * aren't codes get a second "~", so they can't be mistaken for codes.
+ */
+class AbbreviationDictionary {
     /**
-     * Recursively saves an instance to the dynamic property storage.
-     *
-     * @param {*} instance - The object or value to be saved.
-     * @param {string} saveKey - The base key under which the instance is stored.
-     * @param {*} [storageDest=world] - The storage destination (typically `world`).
-     * @param {boolean} [costumizedSaveAllowed=true] - Used internally to avoid recursive reprocessing in custom saves.
-     * @param {boolean} [storageReferenceAllowed=true] - Whether reference-based storage is permitted for this save path.
-     *        This is set to false once a new reference is created to prevent an infinite loop.
+     * @param {string[]} names - The abbreviated names, in the order their codes were assigned.
      */
-    static saveInstance(instance, saveKey, storageDest = world, costumizedSaveAllowed = true, storageReferenceAllowed = true) {
-        if (instance == null) return;
+    constructor(names) {
+        this.names = names;
+        this.codes = new Map(names.map((name, index) => [name, AbbreviationDictionary.code(index)]));
+    }
 
-        // If the instance is a simple data type, save directly.
-        if (
-            typeof instance === "number" ||
-            typeof instance === "boolean" ||
-            typeof instance === "string"
-        ) {
-            try {
-                storageDest.setDynamicProperty(`${saveKey}`, instance);
-            } catch (error) {
-                console.error(
-                    "Failed to save primitive property. " +
-                    JSON.stringify({ saveKey, costumizedSaveAllowed })
-                );
-            }
-            return;
-        }
+    /**
+     * @param {number} index - The index of a name.
+     * @returns {string} The code of the name at that index.
+     */
+    static code(index) {
+        const base = dictionaryCodeChars.length;
+        if (index < base) return "~" + dictionaryCodeChars[index];
+        index -= base;
+        return "~" + dictionaryCodeChars[Math.floor(index / base)] + dictionaryCodeChars[index % base];
+    }
 
-        instance.type = Save.getType(instance);
+    /**
+     * @param {string} code - A code created by `code()`.
+     * @returns {number} The index of the name, -1 if the code is malformed.
+     */
+    static index(code) {
+        const base = dictionaryCodeChars.length;
+        const digits = [...code.slice(1)].map(char => dictionaryCodeChars.indexOf(char));
+        if (digits.length === 0 || digits.length > 2 || digits.includes(-1)) return -1;
+        return digits.length === 1 ? digits[0] : base + digits[0] * base + digits[1];
+    }
 
-        // Attempt reference-based storage for known object types.
-        if (storageReferenceAllowed && typesForReferenceBasedStorageSystem.has(instance.type)) {
-            // If we've already saved this instance, store a reference pointer to avoid duplication.
-            if (savedStorageReferences.has(instance)) {
-                const pointer = savedStorageReferences.get(instance);
-                this.saveInstance(
-                    { type: "storageReference", pointer: pointer },
-                    saveKey,
-                    storageDest,
-                    true,
-                    true
-                );
-                return;
-            } else {
-                // Create a new unique pointer and store the object there.
-                const pointer = saveKey + V3Collection.generateRandomStringWithSymbols(35);
-                savedStorageReferences.set(instance, pointer);
-
-                // Save the full object at the new pointer (with references disabled to prevent infinite recursion).
-                this.saveInstance(instance, pointer, storageDest, true, false);
-
-                // Store a reference to that newly saved object.
-                this.saveInstance(
-                    { type: "storageReference", pointer: pointer },
-                    saveKey,
-                    storageDest,
-                    true,
-                    true
-                );
-                return;
-            }
-        }
+    abbreviate(name) {
+        const code = this.codes.get(name);
+        if (code !== undefined) return code;
+        const short = abbreviationsMap.get(name) ?? name;
+        return short.startsWith("~") ? "~" + short : short;
+    }
 
-        // If the object has a type that demands custom saving, handle it separately.
-        if (instance.type && typesWithCostumizedStorageSystem.has(instance.type) && costumizedSaveAllowed) {
-            this.costumizedSave(instance, saveKey, storageDest);
-            return;
+    expand(stored) {
+        if (stored.startsWith("~~")) {
+            stored = stored.slice(1);
+        } else if (stored.startsWith("~")) {
+            const name = this.names[AbbreviationDictionary.index(stored)];
+            if (name !== undefined) return name;
+            console.error("Unknown code of the abbreviation dictionary. " + JSON.stringify({ code: stored, size: this.names.length }));
+            return stored;
         }
+        return abbreviationsLoad.get(stored) ?? stored;
+    }
+}
 
-        // Otherwise, perform default saving logic:
-        // 1) Collect keys (excluding functions and ignored properties).
-        // 2) Abbreviate keys if applicable.
-        // 3) Store them for retrieval later.
-        const keys = this.getKeys(instance);
-        storageDest.setDynamicProperty(
-            `${saveKey}keys`,
-            keys.map(k => abbreviationsMap.has(k) ? abbreviationsMap.get(k) : k).join(",")
-        );
+/**
+ * The last read dictionary of each backend together with the JSON it was parsed from.
+ */
+const dictionaries = new WeakMap();
 
-        // Recursively save each property.
-        for (const key of keys) {
-            const prop = instance[key];
-            const saveKeyAbbreviated = abbreviationsMap.get(key) ?? key;
+/**
+ * Reads the abbreviation dictionary of a backend.
+ *
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @returns {AbbreviationDictionary} The dictionary, empty if none is stored.
+ */
+function loadDictionary(storageDest) {
+    const backend = baseBackend(storageDest);
+    const json = readValue(backend, pathLayout.dictionary);
+    const cached = dictionaries.get(backend);
+    if (cached && cached.json === json) return cached.dictionary;
 
-            try {
-                Save.saveInstance(prop, `${saveKey}${saveKeyAbbreviated}`, storageDest);
-            } catch (error) {
-                console.error(
-                    "Failed to recursively save property. " +
-                    JSON.stringify({ key, saveKey })
-                );
-            }
+    let names = [];
+    if (typeof json === "string") {
+        try {
+            names = JSON.parse(json);
+        } catch (error) {
+            console.error("Failed to read the abbreviation dictionary. " + JSON.stringify({ error: String(error) }));
         }
     }
+    const dictionary = new AbbreviationDictionary(Array.isArray(names) ? names : []);
+    dictionaries.set(backend, { json, dictionary });
+    return dictionary;
+}
 
-    static getType(instance) {
-        // If the instance is an Array, mark with a type for specialized loading.
-        if (Array.isArray(instance)) {
-            return "Array";
+/**
+ * Extends the abbreviation dictionary of a backend with the field names of an instance that
+ * occur often enough to pay off: a name gets the next free code if the characters saved over
+ * all its occurrences in the graph exceed the cost of its dictionary entry. Frequent names
+ * get their codes first. The dictionary is written to the underlying backend right away, even
+ * if the save itself fails or is rolled back, because saved data must never use codes that
+ * aren't stored.
+ *
+ * @param {*} instance - The instance about to be saved.
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @returns {AbbreviationDictionary|null} The dictionary to save the instance with, `null` while
+ *          the dictionary is empty.
+ */
+function updateDictionary(instance, storageDest) {
+    return runSteps(updateDictionarySteps(instance, storageDest));
+}
+
+/**
+ * Generator behind `updateDictionary()`, yields once per counted object. The dictionary is read
+ * only after counting and written without yielding in between, so saves running at the same time
+ * extend it one after another instead of dropping each other's names.
+ */
+function* updateDictionarySteps(instance, storageDest) {
+    const counts = yield* countFieldNames(instance);
+    const dictionary = loadDictionary(storageDest);
+    const candidates = [...counts]
+        .filter(([name]) => !dictionary.codes.has(name))
+        .sort(([nameA, countA], [nameB, countB]) => countB * nameB.length - countA * nameA.length);
+    const names = [...dictionary.names];
+    for (const [name, count] of candidates) {
+        if (names.length >= maxDictionarySize) break;
+        const codeLength = AbbreviationDictionary.code(names.length).length;
+        if (count * (name.length - codeLength) > name.length + 3) names.push(name);
+    }
+    if (names.length === dictionary.names.length) return dictionary.names.length > 0 ? dictionary : null;
+
+    const backend = baseBackend(storageDest);
+    const json = JSON.stringify(names);
+    try {
+        writeValue(backend, pathLayout.dictionary, json);
+    } catch (error) {
+        console.error("Failed to extend the abbreviation dictionary. " + JSON.stringify({ error: String(error) }));
+        return dictionary.names.length > 0 ? dictionary : null;
+    }
+    const updated = new AbbreviationDictionary(names);
+    dictionaries.set(backend, { json, dictionary: updated });
+    return updated;
+}
+
+/**
+ * Counts how often each field name occurs in a graph. Fields with an abbreviation of their
+ * class and the data of classes with `toStorage` are left out. Yields once per object.
+ *
+ * @param {*} value - The value to walk.
+ * @param {Map<string, number>} [counts=new Map()] - Receives the counts.
+ * @param {Set<object>} [visited=new Set()] - Objects already counted, used internally to stop at cycles.
+ * @returns {Generator<undefined, Map<string, number>>} The counts.
+ */
+function* countFieldNames(value, counts = new Map(), visited = new Set()) {
+    value = proxyTargets.get(value) ?? value;
+    if (value === null || typeof value !== "object" || visited.has(value) || encodeSpecialValue(value)) return counts;
+    visited.add(value);
+    yield;
+    let children;
+    if (value instanceof Map) {
+        children = [...value].flat();
+    } else if (value instanceof Set || Array.isArray(value)) {
+        children = [...value];
+    } else {
+        const options = registeredClasses.get(Save.getType(value));
+        if (options?.toStorage) return counts;
+        children = [];
+        for (const name of Save.getFieldKeys(value)) {
+            if (!options?.abbreviations.has(name)) counts.set(name, (counts.get(name) ?? 0) + 1);
+            children.push(value[name]);
         }
-        if (instance instanceof Map) {
-            return "Map"
+    }
+    for (const child of children) yield* countFieldNames(child, counts, visited);
+    return counts;
+}
+
+/**
+ * Stores the version of the dictionary a root is saved with, or removes a version left over
+ * from an earlier save if the root is saved without dictionary.
+ */
+function writeDictionaryVersion(storageDest, rootKey, dictionary) {
+    const key = pathLayout.dictionaryVersion(rootKey);
+    if (dictionary) storageDest.set(key, dictionary.names.length);
+    else if (storageDest.get(key) !== undefined) storageDest.delete(key);
+}
+
+/**
+ * Returns the abbreviation dictionary a root was saved with, or `null` for roots saved
+ * without one (legacy layout and data saved before dictionaries were introduced).
+ *
+ * @param {object} layout - The layout the root was stored in.
+ * @param {string} key - The stored key of the root node.
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @returns {AbbreviationDictionary|null} The dictionary.
+ */
+function rootDictionary(layout, key, storageDest) {
+    if (layout !== pathLayout) return null;
+    const version = storageDest.get(pathLayout.dictionaryVersion(key));
+    if (typeof version !== "number") return null;
+    const dictionary = loadDictionary(storageDest);
+    if (dictionary.names.length < version) {
+        console.error("The abbreviation dictionary is missing entries. " + JSON.stringify({ key, version, size: dictionary.names.length }));
+    }
+    return dictionary;
+}
+
+/**
+ * Whether a field is excluded from saving and loading, globally or for the given class.
+ */
+function isIgnored(type, key) {
+    return ignoreProperties.has(key) || registeredClasses.get(type)?.ignore.has(key) === true;
+}
+
+/**
+ * Calls the `onBeforeSave` or `onAfterLoad` hook of an instance: the hook passed to
+ * `registerClass()` if there is one, otherwise a method of the same name.
+ */
+function runHook(instance, hookName) {
+    const hook = registeredClasses.get(Save.getType(instance))?.[hookName];
+    if (hook) hook(instance);
+    else if (typeof instance[hookName] === "function") instance[hookName]();
+}
+
+/**
+ * Whether `runHook()` would call a hook for an instance.
+ */
+function hasHook(instance, hookName) {
+    return registeredClasses.get(Save.getType(instance))?.[hookName] !== undefined || typeof instance[hookName] === "function";
+}
+
+/**
+ * Checks for the type names a schema field can use. Other special value types (typed arrays,
+ * buffers) and registered class names are accepted as well, see `matchesSchemaType()`.
+ */
+const schemaTypeChecks = {
+    any: () => true,
+    number: value => typeof value === "number",
+    integer: value => Number.isInteger(value),
+    string: value => typeof value === "string",
+    boolean: value => typeof value === "boolean",
+    null: value => value === null,
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === "object" && !Array.isArray(value),
+    Map: value => value instanceof Map,
+    Set: value => value instanceof Set,
+    BigInt: value => typeof value === "bigint",
+    Date: value => value instanceof Date
+};
+
+/**
+ * Converts the `schema` option of `registerClass()` into a Map of field name to field description
+ * with the accepted type names as array under `types`.
+ */
+function normalizeSchema(name, schema) {
+    const fields = new Map();
+    for (const [field, entry] of Object.entries(schema)) {
+        if (entry === null || (typeof entry !== "object" && typeof entry !== "string")) {
+            throw new Error("Schema fields must be described by a type name or an object. " + JSON.stringify({ name, field }));
         }
-        if (instance instanceof Set) {
-            return "Set"
+        const spec = typeof entry === "string" || Array.isArray(entry) ? { type: entry } : { ...entry };
+        spec.types = spec.type === undefined ? ["any"] : [spec.type].flat();
+        fields.set(field, spec);
+    }
+    return fields;
+}
+
+/**
+ * Whether a value is of the given schema type.
+ */
+function matchesSchemaType(value, type) {
+    if (schemaTypeChecks[type]) return schemaTypeChecks[type](value);
+    if (value === null || typeof value !== "object") return false;
+    if (specialValueTypes.has(type)) return encodeSpecialValue(value)?.type === type;
+    return Save.getType(value) === type;
+}
+
+/**
+ * Whether a value lies within `min` and `max` of a schema field. Numbers are compared by value,
+ * strings and arrays by length, Maps and Sets by size. Other values have no range.
+ */
+function isInSchemaRange(value, spec) {
+    let measure;
+    if (typeof value === "number") measure = value;
+    else if (typeof value === "string" || Array.isArray(value)) measure = value.length;
+    else if (value instanceof Map || value instanceof Set) measure = value.size;
+    else return true;
+    return !(spec.min !== undefined && measure < spec.min) && !(spec.max !== undefined && measure > spec.max);
+}
+
+/**
+ * Tries to convert an invalid value into one the schema field accepts: numeric strings and
+ * booleans into numbers (rounded for integers, clamped to the range), numbers and booleans into
+ * strings, `"true"`/`"false"`/`1`/`0` into booleans.
+ *
+ * @returns {*} The converted value or `undefined` if the value can't be converted.
+ */
+function coerceSchemaValue(value, spec) {
+    for (const type of spec.types) {
+        let result;
+        switch (type) {
+            case "number":
+            case "integer":
+                result = typeof value === "boolean" || (typeof value === "string" && value.trim() !== "") ? Number(value) : value;
+                if (typeof result !== "number" || !Number.isFinite(result)) continue;
+                if (type === "integer") result = Math.round(result);
+                if (spec.min !== undefined) result = Math.max(result, spec.min);
+                if (spec.max !== undefined) result = Math.min(result, spec.max);
+                break;
+            case "string":
+                if (typeof value !== "number" && typeof value !== "boolean" && typeof value !== "bigint") continue;
+                result = String(value);
+                break;
+            case "boolean":
+                if (value === "true" || value === 1) result = true;
+                else if (value === "false" || value === 0) result = false;
+                else continue;
+                break;
+            default:
+                continue;
         }
-        return instance.type;
+        if (matchesSchemaType(result, type) && isInSchemaRange(result, spec)) return result;
     }
+    return undefined;
+}
 
-    /**
+/**
+ * Checks a loaded instance against the schema of its class and repairs it:
+ * - A missing field gets its `default` (a function is called for a fresh value). Missing
+ *   `required` fields are reported.
+ * - A value of the wrong type or outside `min`/`max` is coerced (unless `coerce` is false),
+ *   otherwise replaced by the default, otherwise removed.
+ * Every problem is added to `validation.issues` as `{ key, type, field, problem, action, value }`
+ * with `problem` "missing", "invalidType" or "outOfRange" and `action` "coerced", "default",
+ * "removed" or "none".
+ *
+ * @param {object} instance - The loaded instance.
+ * @param {string} type - The type identifier of the instance.
+ * @param {{issues: object[]}} validation - Collects the issues of the current load.
+ * @param {string} key - The key reported with the issues.
+ */
+function applySchema(instance, type, validation, key) {
+    const schema = registeredClasses.get(type)?.schema;
+    if (!schema || !validation) return;
+    const defaultValue = spec => typeof spec.default === "function" ? spec.default() : spec.default;
+    for (const [field, spec] of schema) {
+        const value = instance[field];
+        const report = (problem, action) => validation.issues.push({ key, type, field, problem, action, value });
+        if (value === undefined) {
+            if ("default" in spec) instance[field] = defaultValue(spec);
+            if (spec.required) report("missing", "default" in spec ? "default" : "none");
+            continue;
+        }
+        let problem;
+        if (!spec.types.some(schemaType => matchesSchemaType(value, schemaType))) problem = "invalidType";
+        else if (!isInSchemaRange(value, spec)) problem = "outOfRange";
+        else continue;
+
+        const coerced = spec.coerce === false ? undefined : coerceSchemaValue(value, spec);
+        if (coerced !== undefined) {
+            instance[field] = coerced;
+            report(problem, "coerced");
+        } else if ("default" in spec) {
+            instance[field] = defaultValue(spec);
+            report(problem, "default");
+        } else {
+            delete instance[field];
+            report(problem, "removed");
+        }
+    }
+}
+
+/**
+ * Validates a loaded object: registered classes are checked against their schema, class tags
+ * without a registered class are reported as "unknownType". `type` must be a tag the storage
+ * system wrote as class tag, not the value of an ordinary `type` field.
+ */
+function validateLoaded(instance, type, validation, key) {
+    if (!validation || typeof type !== "string" || typesWithCostumizedStorageSystem.has(type) || isReservedTypeName(type)) return;
+    if (isClassName(type)) applySchema(instance, type, validation, key);
+    else validation.issues.push({ key, type, problem: "unknownType", action: "none" });
+}
+
+/**
+ * Range of the values a scoreboard score can hold.
+ */
+const scoreRange = { min: -(2 ** 31), max: 2 ** 31 - 1 };
+
+/**
+ * Converts the `routes` option of `registerClass()` into `{ all, fields }`: whether every integer
+ * and boolean field is routed, and a Map of field name to `{ kind, name }` where kind is "score"
+ * or "tag" and name the objective or tag.
+ */
+function normalizeRoutes(name, routes) {
+    if (routes === true) return { all: true, fields: new Map() };
+    const fields = new Map();
+    for (const [field, rule] of Object.entries(routes)) {
+        const kind = typeof rule === "string" ? rule : Object.keys(rule ?? {})[0];
+        const target = typeof rule === "string" ? field : rule?.[kind];
+        if ((kind !== "score" && kind !== "tag") || typeof target !== "string" || !/^[^/:]+$/.test(target)) {
+            throw new Error("A route must be \"score\", \"tag\", { score: objective } or { tag: name } without \"/\" and \":\". " + JSON.stringify({ name, field }));
+        }
+        fields.set(field, { kind, name: target });
+    }
+    return { all: false, fields };
+}
+
+/**
+ * Returns where a field is stored if its class routes it to a scoreboard score or a tag, or
+ * `null` if it is saved as usual. Only integers within the score range become scores and only
+ * booleans become tags; other values of a routed field fall back to dynamic properties.
+ * A `false` tag is stored by removing the tag, so its value is `undefined`.
+ *
+ * @param {string} type - The type of the object owning the field.
+ * @param {string} field - The field name.
+ * @param {*} value - The value of the field.
+ * @param {string} nodeKey - The stored key of the object.
+ * @returns {{route: string, key: string, value: (number|boolean|undefined)}|null} The route as
+ *          stored in `<path>:r`, the key to write and the value to write.
+ */
+function fieldRoute(type, field, value, nodeKey) {
+    const routes = registeredClasses.get(type)?.routes;
+    if (!routes || isEncrypted(type, field)) return null;
+    let rule = routes.fields.get(field);
+    if (!rule && routes.all && /^[^/:]+$/.test(field)) rule = { kind: typeof value === "boolean" ? "tag" : "score", name: field };
+    if (!rule) return null;
+    const isRoutable = rule.kind === "tag"
+        ? typeof value === "boolean"
+        : Number.isInteger(value) && value >= scoreRange.min && value <= scoreRange.max;
+    if (!isRoutable) return null;
+    const route = `${rule.kind}:${rule.name}`;
+    return { route, key: routeKey(route, nodeKey), value: value === false ? undefined : value };
+}
+
+/**
+ * Returns the key of a routed field. Atomic generations of a root share these keys, commands
+ * would otherwise have to know the current generation.
+ */
+function routeKey(route, nodeKey) {
+    const [kind, name] = route.split(":");
+    return pathLayout.route(kind, name, withoutGeneration(nodeKey));
+}
+
+/**
+ * Removes the atomic generation (`:g<n>`) from the root segment of a stored key.
+ */
+function withoutGeneration(key) {
+    return key.replace(/^([^/]*):g\d+(?=\/|$)/, "$1");
+}
+
+/**
+ * Whether a key belongs to an object in the shared area, see `StorageSession`.
+ */
+function isSharedKey(key) {
+    return key.startsWith("%shared/");
+}
+
+/**
+ * Whether a key holds a routed field. Cleaning up a generation must not remove them, since the
+ * other generation uses the same keys.
+ */
+function isRouteKey(key) {
+    return key.startsWith("%score/") || key.startsWith("%tag/");
+}
+
+/**
+ * Reads the routes of an object node: stored field name to route, see `fieldRoute()`.
+ */
+function readRoutes(nodeKey, storageDest) {
+    const routes = readValue(storageDest, pathLayout.routes(nodeKey));
+    if (typeof routes !== "string") return null;
+    try {
+        return JSON.parse(routes);
+    } catch (error) {
+        console.error("Stored routes are not valid JSON. " + JSON.stringify({ nodeKey }));
+        return null;
+    }
+}
+
+/**
+ * Reads a routed field. A missing tag is `false`, a missing score `undefined`.
+ */
+function readRoute(route, nodeKey, storageDest) {
+    const value = storageDest.get(routeKey(route, nodeKey));
+    if (route.startsWith("tag:")) return value === true;
+    return typeof value === "number" ? value : undefined;
+}
+
+/**
+ * Whether a field of a class is stored encrypted, see the `encrypt` option of `registerClass()`.
+ */
+function isEncrypted(type, field) {
+    return registeredClasses.get(type)?.encrypt.has(field) === true;
+}
+
+/**
+ * Encrypts the value of a field with the storage secret. The value is serialized as JSON,
+ * objects as blob document, and encrypted with the keystream of `applyKeystream()` under a
+ * random nonce. An HMAC over the field's location, nonce and ciphertext, truncated to 16 bytes,
+ * detects changes, a wrong secret and values copied to another field or root. The result is
+ * `1:` followed by the base64 of nonce, ciphertext and MAC.
+ *
+ * A deterministic nonce is derived from the location and the value instead, so the same value
+ * at the same location always encrypts the same way. Only equal values can share a nonce.
+ *
+ * @param {*} value - The value to encrypt.
+ * @param {boolean} [raw=false] - Whether the value is plain data as loaded with `context.raw`.
+ * @param {string} [location=""] - Where the value is stored, see `fieldLocation()`.
+ * @param {boolean} [deterministic=false] - Whether the nonce is derived instead of random, see `exportRoot()`.
+ * @returns {string} The encrypted value.
+ */
+function encryptValue(value, raw = false, location = "", deterministic = false) {
+    if (!storageKeys) throw new StorageFormatError("Encrypted fields need a storage secret, see setStorageSecret().");
+    const isPlain = typeof value === "string" || typeof value === "boolean" || (typeof value === "number" && Number.isFinite(value));
+    const json = JSON.stringify(isPlain ? value : BlobSerializer.encode(value, raw, false, null, false));
+    const nonce = deterministic
+        ? hmacSha256(storageKeys.encryption, utf8Encode("nonce\n" + JSON.stringify(location) + "\n" + json)).subarray(0, 12)
+        : randomBytes(12);
+    const ciphertext = applyKeystream(storageKeys.encryption, nonce, utf8Encode(json));
+    const message = new Uint8Array(nonce.length + ciphertext.length + 16);
+    message.set(nonce);
+    message.set(ciphertext, nonce.length);
+    const mac = encryptionMac(location, message.subarray(0, nonce.length + ciphertext.length));
+    message.set(mac.subarray(0, 16), nonce.length + ciphertext.length);
+    return `1:${bytesToBase64(message)}`;
+}
+
+/**
+ * Decrypts a value created by `encryptValue()`.
+ *
+ * @param {string} encrypted - The encrypted value.
+ * @param {boolean} [raw=false] - Keeps registered classes as plain objects with their `type` field.
+ * @param {{rootKey: string, issues: object[]}} [validation] - Collects validation issues of decrypted objects.
+ * @param {string} [location=""] - Where the value is stored, as passed to `encryptValue()`.
+ * @returns {*} The decrypted value.
+ * @throws {StorageFormatError} If there is no secret, the secret is wrong or the value was changed or moved.
+ */
+function decryptValue(encrypted, raw = false, validation = null, location = "") {
+    if (!storageKeys) throw new StorageFormatError("Encrypted fields need a storage secret, see setStorageSecret().");
+    if (typeof encrypted !== "string" || !encrypted.startsWith("1:")) {
+        throw new StorageFormatError("Unknown format of an encrypted value.");
+    }
+    const bytes = base64ToBytes(encrypted.slice(2));
+    const macOffset = bytes.length - 16;
+    if (macOffset < 12 || !bytesEqual(encryptionMac(location, bytes.subarray(0, macOffset)), bytes.subarray(macOffset))) {
+        throw new StorageFormatError("Encrypted value was changed, moved or the storage secret is wrong.");
+    }
+    const json = utf8Decode(applyKeystream(storageKeys.encryption, bytes.subarray(0, 12), bytes.subarray(12, macOffset)));
+    const value = JSON.parse(json);
+    return value !== null && typeof value === "object" ? BlobSerializer.decode(value, raw, false, validation) : value;
+}
+
+/**
+ * Computes the truncated MAC of an encrypted value: HMAC-SHA256 over the JSON of its location,
+ * a line break, nonce and ciphertext.
+ */
+function encryptionMac(location, bytes) {
+    const prefix = utf8Encode(JSON.stringify(location) + "\n");
+    const input = new Uint8Array(prefix.length + bytes.length);
+    input.set(prefix);
+    input.set(bytes, prefix.length);
+    return hmacSha256(storageKeys.authentication, input).subarray(0, 16);
+}
+
+/**
+ * Returns the location an encrypted value is bound to: the stored key of the field without the
+ * atomic generation, or for a field inside a blob the blob's root, the node and the field name.
+ *
+ * @param {string} key - The stored key of the field, or of the blob's root.
+ * @param {number} [id] - The node of a blob that owns the field.
+ * @param {string} [field] - The stored field name inside the blob node.
+ * @returns {string} The location.
+ */
+function fieldLocation(key, id, field) {
+    const location = withoutGeneration(key);
+    return id === undefined ? location : `${location}#${id}/${field}`;
+}
+
+/**
+ * Returns the mode of a stored checksum or MAC, `undefined` if the root has none.
+ */
+function integrityMode(stored) {
+    return typeof stored === "string" ? stored.slice(0, stored.indexOf(":")) : undefined;
+}
+
+/**
+ * Decrypts a value, reporting a failure as "decryptionFailed" issue (or logging it without
+ * validation) and returning `undefined` instead.
+ */
+function decryptOrReport(encrypted, raw, validation, key, location = "") {
+    try {
+        return decryptValue(encrypted, raw, validation, location);
+    } catch (error) {
+        if (validation) validation.issues.push({ key, problem: "decryptionFailed", action: "none", value: error.message });
+        else console.error("Failed to decrypt a value. " + JSON.stringify({ key, error: error.message }));
+        return undefined;
+    }
+}
+
+/**
+ * Computes the checksum of a stored root over the keys and values `Delete.collectRootKeys()`
+ * finds and the part of the abbreviation dictionary the root uses. Chunked strings count as
+ * their joined value. Routed fields are left out, commands are meant to change them.
+ *
+ * @param {string} mode - "checksum" for SHA-256, "mac" for HMAC-SHA256 with the storage secret.
+ * @param {string} saveKey - The key passed to `Save`, so that data copied to another root fails.
+ * @param {string} rootKey - The stored key of the root.
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @returns {string} The mode followed by ":" and the hex digest.
+ */
+function computeIntegrity(mode, saveKey, rootKey, storageDest) {
+    return runSteps(computeIntegritySteps(mode, saveKey, rootKey, storageDest));
+}
+
+/**
+ * Generator behind `computeIntegrity()`, yields once per node of the root.
+ */
+function* computeIntegritySteps(mode, saveKey, rootKey, storageDest) {
+    const keys = new Set();
+    for (const key of yield* Delete.collectRootKeysSteps(rootKey, pathLayout, storageDest)) {
+        const valueKey = key.replace(/:c\d*$/, "");
+        if (valueKey !== pathLayout.integrity(rootKey) && !isRouteKey(valueKey)) keys.add(valueKey);
+    }
+    const entries = [JSON.stringify(saveKey)];
+    for (const key of [...keys].sort()) {
+        const value = readValue(storageDest, key);
+        entries.push(JSON.stringify([key.slice(rootKey.length), typeof value === "object" ? [value.x, value.y, value.z] : value]));
+    }
+    const dictionary = rootDictionary(pathLayout, rootKey, storageDest);
+    if (dictionary) entries.push(JSON.stringify(dictionary.names.slice(0, storageDest.get(pathLayout.dictionaryVersion(rootKey)))));
+
+    const bytes = utf8Encode(entries.join("\n"));
+    if (mode !== "mac") return `checksum:${toHex(sha256(bytes))}`;
+    if (!storageKeys) throw new StorageFormatError("MACs need a storage secret, see setStorageSecret().");
+    return `mac:${toHex(hmacSha256(storageKeys.integrity, bytes))}`;
+}
+
+/**
+ * Stores the checksum or MAC of a root under `<root>:m`, or removes a leftover one if the root
+ * is saved without integrity protection.
+ *
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @param {string} saveKey - The key passed to `Save`.
+ * @param {string} rootKey - The stored key of the root.
+ * @param {string} [mode] - "checksum", "mac" or `undefined`.
+ */
+function writeIntegrity(storageDest, saveKey, rootKey, mode) {
+    runSteps(writeIntegritySteps(storageDest, saveKey, rootKey, mode));
+}
+
+/**
+ * Generator behind `writeIntegrity()`, yields while the checksum is computed.
+ */
+function* writeIntegritySteps(storageDest, saveKey, rootKey, mode) {
+    const integrityKey = pathLayout.integrity(rootKey);
+    if (mode) {
+        writeValue(storageDest, integrityKey, yield* computeIntegritySteps(mode, saveKey, rootKey, storageDest));
+        return;
+    }
+    const leftover = new Set();
+    Delete.collectValueKeys(integrityKey, storageDest, leftover);
+    for (const key of leftover) storageDest.delete(key);
+}
+
+/**
+ * Constructors of the typed arrays that are stored with their element type.
+ */
+const typedArrayConstructors = {
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+    Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array
+};
+
+/**
+ * Types of values that have no native dynamic property representation. They are stored as a
+ * single tagged value: the type under the type key and an encoded primitive under the key itself.
+ */
+const specialValueTypes = new Set([
+    "undefined", "null", "Number", "BigInt", "Date", "Vector3", "Vector2", "ArrayBuffer", "DataView",
+    ...Object.keys(typedArrayConstructors)
+]);
+
+/**
+ * Encodes a value that needs a type tag to be restored correctly: `undefined`, `null`,
+ * `NaN`/`Infinity`/`-0`, BigInts, Dates, typed arrays and buffers, and plain `{x,y,z}`/`{x,y}`
+ * objects (Vector3, Vector2, BlockLocation).
+ *
+ * @param {*} value - The value to encode.
+ * @returns {{type: string, value: (string|number|undefined)}|null} The tag and the encoded value,
+ *          or `null` if the value is stored normally.
+ */
+function encodeSpecialValue(value) {
+    switch (typeof value) {
+        case "undefined":
+            return { type: "undefined", value: undefined };
+        case "bigint":
+            return { type: "BigInt", value: value.toString() };
+        case "number":
+            if (Number.isFinite(value) && !Object.is(value, -0)) return null;
+            return { type: "Number", value: Object.is(value, -0) ? "-0" : String(value) };
+        case "object":
+            break;
+        default:
+            return null;
+    }
+    if (value === null) return { type: "null", value: undefined };
+    if (value instanceof Date) {
+        const time = value.getTime();
+        return { type: "Date", value: Number.isFinite(time) ? time : "NaN" };
+    }
+    if (value instanceof ArrayBuffer) {
+        return { type: "ArrayBuffer", value: bytesToBase64(new Uint8Array(value)) };
+    }
+    if (ArrayBuffer.isView(value)) {
+        const type = value instanceof DataView ? "DataView" : value.constructor.name;
+        if (!specialValueTypes.has(type)) return null;
+        return { type, value: bytesToBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+    }
+    const vectorType = getVectorType(value);
+    if (vectorType === "Vector3") return { type: vectorType, value: `${value.x},${value.y},${value.z}` };
+    if (vectorType === "Vector2") return { type: vectorType, value: `${value.x},${value.y}` };
+    return null;
+}
+
+/**
+ * Restores a value encoded by `encodeSpecialValue()`.
+ *
+ * @param {string} type - The stored type tag.
+ * @param {*} value - The stored encoded value.
+ * @returns {*} The restored value.
+ */
+function decodeSpecialValue(type, value) {
+    switch (type) {
+        case "undefined":
+            return undefined;
+        case "null":
+            return null;
+        case "Number":
+            return value === "-0" ? -0 : Number(value);
+        case "BigInt":
+            return BigInt(value);
+        case "Date":
+            return new Date(Number(value));
+        case "Vector3": {
+            const [x, y, z] = String(value).split(",").map(Number);
+            return { x, y, z };
+        }
+        case "Vector2": {
+            const [x, y] = String(value).split(",").map(Number);
+            return { x, y };
+        }
+        case "ArrayBuffer":
+            return base64ToBytes(value).buffer;
+        case "DataView":
+            return new DataView(base64ToBytes(value).buffer);
+        default: {
+            const bytes = base64ToBytes(value);
+            return new typedArrayConstructors[type](bytes.buffer);
+        }
+    }
+}
+
+/**
+ * Returns "Vector3" or "Vector2" for plain objects that consist of exactly the numeric
+ * coordinates `x`, `y`, `z` or `x`, `y`, otherwise `null`.
+ */
+function getVectorType(value) {
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) return null;
+    const keys = Object.keys(value).filter(key => !(key === "type" && value.type === undefined));
+    if (keys.length < 2 || keys.length > 3) return null;
+    if (!keys.every(key => (key === "x" || key === "y" || key === "z") && typeof value[key] === "number")) return null;
+    if (keys.length === 3) return "Vector3";
+    return "z" in value ? null : "Vector2";
+}
+
+/**
+ * Whether an object is restored as a whole by `decodeSpecialValue()` and has no fields to walk.
+ */
+function isSpecialObject(value) {
+    return value instanceof Date || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+const base64Chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Encodes bytes as base64. The script runtime has no `btoa`, so this is done by hand.
+ */
+function bytesToBase64(bytes) {
+    let result = "";
+    for (let i = 0; i < bytes.length; i += 3) {
+        const b0 = bytes[i], b1 = bytes[i + 1] ?? 0, b2 = bytes[i + 2] ?? 0;
+        result += base64Chars[b0 >> 2] + base64Chars[((b0 & 3) << 4) | (b1 >> 4)];
+        result += i + 1 < bytes.length ? base64Chars[((b1 & 15) << 2) | (b2 >> 6)] : "=";
+        result += i + 2 < bytes.length ? base64Chars[b2 & 63] : "=";
+    }
+    return result;
+}
+
+/**
+ * Decodes base64 created by `bytesToBase64()`.
+ */
+function base64ToBytes(str) {
+    const clean = String(str).replace(/=+$/, "");
+    const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+    let buffer = 0, bits = 0, index = 0;
+    for (const char of clean) {
+        buffer = (buffer << 6) | base64Chars.indexOf(char);
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[index++] = (buffer >> bits) & 255;
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Runs a step generator to completion and returns its result.
+ */
+function runSteps(steps) {
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+/**
+ * Yielded by jobs to tell the fallback scheduler that the rest of the tick can be skipped.
+ */
+const waitForNextTick = Symbol("waitForNextTick");
+
+/**
+ * Scheduler used by the asynchronous save/load variants, see `setJobScheduler()`.
+ */
+let jobScheduler = null;
+
+/**
+ * Sets the scheduler used by `Save.saveInstanceAsync()` and `Load.loadInstanceAsync()`.
+ * MinecraftStorage.js registers `system.runJob` and `system.currentTick`.
+ *
+ * @param {{runJob: function(Generator): *, currentTick: function(): number}} scheduler - The scheduler.
+ */
+export function setJobScheduler(scheduler) {
+    jobScheduler = scheduler;
+}
+
+/**
+ * Returns the job scheduler, falling back to a timer-based scheduler for environments
+ * without `system.runJob`, e.g. unit tests under Node. There, every timer callback counts as one tick.
+ */
+function getJobScheduler() {
+    if (jobScheduler) return jobScheduler;
+    if (typeof setTimeout !== "function") {
+        throw new Error("No job scheduler set. Import MinecraftStorage.js or call setJobScheduler().");
+    }
+    let tick = 0;
+    jobScheduler = {
+        currentTick: () => tick,
+        runJob(generator) {
+            const runTick = () => {
+                tick++;
+                const start = Date.now();
+                while (Date.now() - start < 50) {
+                    const step = generator.next();
+                    if (step.done) return;
+                    if (step.value === waitForNextTick) break;
+                }
+                setTimeout(runTick, 0);
+            };
+            setTimeout(runTick, 0);
+        }
+    };
+    return jobScheduler;
+}
+
+/**
+ * Runs a step generator as a job and resolves with its result. Each yield of `steps` is one unit
+ * of work; once the units of the current tick took longer than the budget, the job idles until
+ * the next tick, so that large saves and loads don't cause tick lag or trigger the watchdog.
+ *
+ * @param {Generator} steps - The work to do.
+ * @param {object} [options={}] - Job options.
+ * @param {number} [options.tickBudgetMs=4] - Milliseconds of work per tick.
+ * @param {function({done: number, total: (number|undefined), finished: boolean}): void} [options.onProgress] -
+ *        Called at the end of each tick and once when the job finished.
+ * @param {number} [options.total] - Total number of units, if known, passed to `onProgress`.
+ * @returns {Promise<*>} Resolves with the return value of `steps`.
+ */
+function runAsJob(steps, { tickBudgetMs = 4, onProgress, total } = {}) {
+    const scheduler = getJobScheduler();
+    return new Promise((resolve, reject) => {
+        function* job() {
+            let done = 0;
+            let tick = scheduler.currentTick();
+            let tickStart = Date.now();
+            try {
+                while (true) {
+                    if (scheduler.currentTick() !== tick) {
+                        tick = scheduler.currentTick();
+                        tickStart = Date.now();
+                    }
+                    const step = steps.next();
+                    if (step.done) {
+                        onProgress?.({ done, total: total ?? done, finished: true });
+                        resolve(step.value);
+                        return;
+                    }
+                    done++;
+                    if (Date.now() - tickStart < tickBudgetMs) {
+                        yield;
+                        continue;
+                    }
+                    // The budget of this tick is used up, wait for the next one.
+                    onProgress?.({ done, total, finished: false });
+                    while (scheduler.currentTick() === tick) yield waitForNextTick;
+                }
+            } catch (error) {
+                reject(error);
+            }
+        }
+        scheduler.runJob(job());
+    });
+}
+
+/**
+ * Escapes a root key or property name for use as a single path segment. `%`, the path
+ * separator `/` and the metadata marker `:` are percent-encoded, so different names never
+ * produce the same segment and no name can reach into the metadata namespace of a node.
+ *
+ * @param {string} name - The unescaped name.
+ * @returns {string} The escaped segment.
+ */
+function escapeKeySegment(name) {
+    return String(name).replace(/[%/:]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Reverses `escapeKeySegment()`.
+ *
+ * @param {string} segment - The escaped segment.
+ * @returns {string} The original name.
+ */
+function unescapeKeySegment(segment) {
+    return segment.replace(/%([0-9A-F]{2})/g, (match, code) => String.fromCharCode(parseInt(code, 16)));
+}
+
+/**
+ * Key layout written by `Save` (format 2).
+ *
+ * Every node has a path: the escaped root key followed by one `/segment` per level, where a
+ * segment is an escaped field name, an Array or Set index, or `k<i>`/`v<i>` for the key and
+ * value of a Map entry. Metadata of a node lives behind `:`, which never occurs in a segment:
+ * - `<path>`                   value of a primitive or tagged value
+ * - `<path>:t`                 type tag
+ * - `<path>:k`                 stored field names as a JSON array
+ * - `<path>:n`                 length of an Array, size of a Set or Map
+ * - `<path>:p`                 pointer of a reference
+ * - `<path>:b`                 JSON of a blob
+ * - `<path>:r`                 routes of fields stored as scores or tags, see `fieldRoute()`
+ * - `<key>:c`, `<key>:c<i>`    chunk count and chunks of a long string stored under `<key>`
+ * - `<root>:v`, `<root>:f`     schema version and layout format of a root
+ * - `<root>:a`                 version (size) of the abbreviation dictionary the root was saved with
+ * - `<root>:m`                 checksum or MAC of the root, see `computeIntegrity()`
+ * - `%abbreviations`           the abbreviation dictionary of the backend, see `AbbreviationDictionary`.
+ *                              Escaped root keys never start with "%" followed by a letter.
+ * - `%sessions`                number of the last session that handed out identities
+ * - `%shared/<identity>`       object stored once for all roots saved with a shared session, see
+ *                              `StorageSession`. It is a node like the others and has a `:a` key.
+ * - `<root>:h`, `<root>:j`     committed and pending generation of an atomically saved root,
+ *                              whose data is stored under `<root>:g<generation>`
+ * - `%score/<objective>/<path>`, `%tag/<tag>/<path>`
+ *                              routed fields, see `RoutingBackend`. `<path>` omits the generation.
+ */
+const pathLayout = {
+    format: 2,
+    root: key => escapeKeySegment(key),
+    formatKey: key => `${key}:f`,
+    version: key => `${key}:v`,
+    dictionary: "%abbreviations",
+    dictionaryVersion: key => `${key}:a`,
+    integrity: key => `${key}:m`,
+    head: key => `${key}:h`,
+    journal: key => `${key}:j`,
+    generation: (key, generation) => `${key}:g${generation}`,
+    type: key => `${key}:t`,
+    keys: key => `${key}:k`,
+    joinKeys: names => JSON.stringify(names),
+    splitKeys: value => JSON.parse(value),
+    field: (key, name) => `${key}/${escapeKeySegment(name)}`,
+    length: key => `${key}:n`,
+    item: (key, index) => `${key}/${index}`,
+    size: key => `${key}:n`,
+    setItem: (key, index) => `${key}/${index}`,
+    mapKey: (key, index) => `${key}/k${index}`,
+    mapValue: (key, index) => `${key}/v${index}`,
+    pointer: key => `${key}:p`,
+    identitySessions: "%sessions",
+    shared: identity => `%shared/${identity}`,
+    blob: key => `${key}:b`,
+    routes: key => `${key}:r`,
+    route: (kind, name, path) => `%${kind}/${name}/${path}`,
+    chunkCount: key => `${key}:c`,
+    chunk: (key, index) => `${key}:c${index}`,
+    contains: (key, other) => other === key || other.startsWith(`${key}/`)
+};
+
+/**
+ * Key layout of data saved before the path encoding (format 1): field names and metadata
+ * suffixes were appended to the parent key without separator, and the keys list was joined
+ * with commas. It is only read, so existing worlds keep loading. Saving a root again with
+ * `overwrite` removes the old keys and stores it in the current layout.
+ */
+const legacyLayout = {
+    format: 1,
+    root: key => key,
+    formatKey: key => `${key}:f`,
+    version: key => `${key}sv`,
+    type: key => `${key}${typeKey()}`,
+    keys: key => `${key}keys`,
+    joinKeys: names => names.join(","),
+    splitKeys: value => value.length ? value.split(",") : [],
+    field: (key, name) => `${key}${name}`,
+    length: key => `${key}length`,
+    item: (key, index) => `${key}${index}`,
+    size: key => `${key}size`,
+    setItem: (key, index) => `${key}item${index}`,
+    mapKey: (key, index) => `${key}key${index}`,
+    mapValue: (key, index) => `${key}value${index}`,
+    pointer: key => `${key}pointer`,
+    blob: key => `${key}blob`,
+    chunkCount: key => `${key}chunks`,
+    chunk: (key, index) => `${key}chunk${index}`,
+    contains: (key, other) => other.startsWith(key)
+};
+
+/**
+ * Finds the layout a root was stored in. Atomically saved roots point to their committed
+ * generation, roots saved in the current layout carry a format marker, everything else is
+ * read with the legacy layout.
+ *
+ * @param {string} rootKey - The key passed to `Save`/`Load`.
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @returns {{layout: object, key: string}} The layout and the stored key of the root node.
+ */
+function resolveRoot(rootKey, storageDest) {
+    const key = pathLayout.root(rootKey);
+    const head = storageDest.get(pathLayout.head(key));
+    if (typeof head === "number") return { layout: pathLayout, key: pathLayout.generation(key, head) };
+    if (storageDest.get(pathLayout.formatKey(key)) !== undefined) return { layout: pathLayout, key };
+    return { layout: legacyLayout, key: legacyLayout.root(rootKey) };
+}
+
+/**
+ * Returns the stored key under which a non-atomic save writes a root: the committed generation
+ * of an atomically saved root, otherwise the root key itself.
+ */
+function writableRoot(rootKey, storageDest) {
+    const { layout, key } = resolveRoot(rootKey, storageDest);
+    return layout === pathLayout ? key : pathLayout.root(rootKey);
+}
+
+/**
+ * Roots with an atomic save in progress per storage backend. Their pending generation is
+ * still being written and must not be cleaned up by `recoverRoot()`.
+ */
+const activeAtomicSaves = new WeakMap();
+
+/**
+ * Number of saves with a shared session in progress per storage backend, see `holdSharedSave()`.
+ */
+const activeSharedSaves = new WeakMap();
+
+/**
+ * Marks a save that writes to the shared area as in progress, so that `collectGarbage()`
+ * doesn't remove objects it wrote before the references to them.
+ *
+ * @returns {function(): void} Ends the mark.
+ */
+function holdSharedSave(storageDest) {
+    const backend = baseBackend(storageDest);
+    activeSharedSaves.set(backend, (activeSharedSaves.get(backend) ?? 0) + 1);
+    return () => activeSharedSaves.set(backend, activeSharedSaves.get(backend) - 1);
+}
+
+/**
+ * Marks an atomic save of a root as in progress.
+ *
+ * @returns {function(): void} Ends the mark.
+ */
+function holdAtomicSave(rootKey, storageDest) {
+    const active = getOrCreate(activeAtomicSaves, baseBackend(storageDest), () => new Set());
+    if (active.has(rootKey)) {
+        throw new StorageBackendError("An atomic save of this root is still in progress.", { rootKey });
+    }
+    active.add(rootKey);
+    return () => active.delete(rootKey);
+}
+
+/**
+ * Finishes an atomic save that was interrupted, e.g. because the world was closed. The journal
+ * names the generation that was being written: if the head already points to it, the commit
+ * happened and only the previous data is removed, otherwise the incomplete generation is
+ * removed and the previous one stays in use.
+ *
+ * @param {string} rootKey - The key passed to `Save`/`Load`.
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ */
+function recoverRoot(rootKey, storageDest) {
+    const key = pathLayout.root(rootKey);
+    const journalKey = pathLayout.journal(key);
+    const generation = storageDest.get(journalKey);
+    if (typeof generation !== "number" || activeAtomicSaves.get(baseBackend(storageDest))?.has(key)) return;
+
+    let staleKeys;
+    if (storageDest.get(pathLayout.head(key)) === generation) {
+        staleKeys = generation > 1
+            ? generationKeys(pathLayout.generation(key, generation - 1), storageDest)
+            : [...Delete.collectRootKeys(key, pathLayout, storageDest), ...Delete.collectRootKeys(legacyLayout.root(rootKey), legacyLayout, storageDest)];
+    } else {
+        staleKeys = generationKeys(pathLayout.generation(key, generation), storageDest);
+    }
+    staleKeys = staleKeys.filter(staleKey => !isRouteKey(staleKey));
+    for (const staleKey of staleKeys) storageDest.delete(staleKey);
+    storageDest.delete(journalKey);
+    console.warn("Cleaned up an interrupted atomic save. " + JSON.stringify({ rootKey, generation, removed: staleKeys.length }));
+}
+
+/**
+ * Returns all keys of a generation. An interrupted generation may lack the keys lists and
+ * sizes that `Delete.collectKeys()` follows, so the backend's keys are searched as well.
+ * Routed fields are left out, the other generation stores them under the same keys.
+ */
+function generationKeys(generationKey, storageDest) {
+    const keys = new Set(Delete.collectRootKeys(generationKey, pathLayout, storageDest));
+    for (const key of storageDest.keys()) {
+        if (key.startsWith(`${generationKey}/`) || key.startsWith(`${generationKey}:`) || key === generationKey) keys.add(key);
+    }
+    return [...keys].filter(key => !isRouteKey(key));
+}
+
+/**
+ * Returns the keys of every generation of a root except `keep`, found by searching the backend's
+ * keys. Non-overwrite saves leave keys in a generation that its keys lists no longer reach.
+ *
+ * @param {string} rootKey - The stored key of the root, without generation.
+ * @param {number} [keep] - The generation whose keys are left out.
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @returns {string[]} The keys of the other generations.
+ */
+function otherGenerationKeys(rootKey, keep, storageDest) {
+    const prefix = `${rootKey}:g`;
+    return storageDest.keys().filter(key => {
+        if (!key.startsWith(prefix)) return false;
+        const match = /^(\d+)(?=[/:]|$)/.exec(key.slice(prefix.length));
+        return match !== null && Number(match[1]) !== keep;
+    });
+}
+
+/**
+ * Writes a single value. Strings longer than the backend's `maxValueLength` are split across
+ * numbered continuation properties (`<key>:c0`, `<key>:c1`, ...) and the number of chunks is
+ * stored under `<key>:c`.
+ *
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @param {string} key - The key to write.
+ * @param {number|boolean|string} value - The value to write.
+ */
+function writeValue(storageDest, key, value) {
+    const limit = storageDest.maxValueLength;
+    if (typeof value !== "string" || value.length <= limit) {
+        storageDest.set(key, value);
+        return;
+    }
+    let count = 0;
+    let start = 0;
+    while (start < value.length) {
+        let end = Math.min(start + limit, value.length);
+        // Never split a surrogate pair, the engine would store two broken characters.
+        const last = value.charCodeAt(end - 1);
+        if (end < value.length && last >= 0xd800 && last <= 0xdbff && end - 1 > start) end--;
+        storageDest.set(pathLayout.chunk(key, count), value.slice(start, end));
+        start = end;
+        count++;
+    }
+    storageDest.set(pathLayout.chunkCount(key), count);
+    storageDest.delete(key);
+}
+
+/**
+ * Reads a single value written by `writeValue()` and reassembles chunked strings.
+ *
+ * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+ * @param {string} key - The key to read.
+ * @param {object} [layout=pathLayout] - The layout the value was written in.
+ * @returns {*} The stored value or `undefined`.
+ */
+function readValue(storageDest, key, layout = pathLayout) {
+    const value = storageDest.get(key);
+    if (value !== undefined) return value;
+    const count = storageDest.get(layout.chunkCount(key));
+    if (typeof count !== "number") return undefined;
+    let result = "";
+    for (let i = 0; i < count; i++) {
+        const chunk = storageDest.get(layout.chunk(key, i));
+        if (typeof chunk !== "string") {
+            console.error("Missing chunk of a chunked property. " + JSON.stringify({ key, chunk: i, count }));
+            return undefined;
+        }
+        result += chunk;
+    }
+    return result;
+}
+
+/**
+ * Class responsible for saving instances to the dynamic property storage.
+ * Main entry point is the static method `saveInstance()`.
+ */
+export class Save {
+    /**
+     * Saves an instance to the dynamic property storage.
+     *
+     * @param {*} instance - The object or value to be saved.
+     * @param {string} saveKey - The base key under which the instance is stored.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination: a backend or an object with
+     *        dynamic property methods such as `world`, an `Entity` or an `ItemStack`.
+     * @param {object} [options={}] - Save options.
+     * @param {boolean} [options.overwrite=false] - Removes everything previously stored under `saveKey`
+     *        that isn't part of the new instance (removed object keys, trailing array indices,
+     *        old Set and Map entries).
+     * @param {StorageSession} [options.session] - Stores tracked objects once in the shared area of the
+     *        backend, for all roots saved with a session, see `StorageSession`. By default each call uses
+     *        its own session and stores all objects inside the root.
+     * @param {boolean} [options.trackAllReferences=false] - Tracks the identity of every object, not only
+     *        of the types in `typesForReferenceBasedStorageSystem`, so that any shared or cyclic graph
+     *        round-trips with identity preserved.
+     * @param {boolean} [options.atomic=false] - Writes the instance into a new generation and commits it
+     *        with a single write at the end, see `writeAtomicallySteps()`. Implies `overwrite`.
+     * @param {boolean} [options.raw=false] - Saves plain data as loaded with `context.raw`: objects whose
+     *        `type` field is a class tag are stored as that type, but no hooks run and no `toStorage` is called.
+     * @param {number} [options.schemaVersion] - The schema version stored with the root, by default the
+     *        current one. `importRoot()` keeps the version of the imported data this way.
+     * @param {string} [options.integrity] - Stores a checksum ("checksum", SHA-256) or a MAC ("mac",
+     *        HMAC-SHA256 with the storage secret) of the root, which `Load` verifies, see `computeIntegrity()`.
+     */
+    static saveInstance(instance, saveKey, storageDest = getDefaultStorage(), options = {}) {
+        runSteps(this.saveInstanceSteps(instance, saveKey, resolveBackend(storageDest), options));
+    }
+
+    /**
+     * Generator behind `saveInstance()` and `saveInstanceAsync()`, yields once per counted and
+     * once per saved node.
+     */
+    static *saveInstanceSteps(instance, saveKey, storageDest, options, originals) {
+        const release = options.session !== undefined ? holdSharedSave(storageDest) : null;
+        try {
+            const context = this.createContext(options, yield* updateDictionarySteps(instance, storageDest));
+            if (originals) context.originals = originals;
+            yield* this.writeInstanceSteps(instance, saveKey, storageDest, options, context);
+        } finally {
+            release?.();
+        }
+    }
+
+    /**
+     * Creates the state of a save, see `saveValue()`.
+     *
+     * @param {object} options - The save options, see `saveInstance()`.
+     * @param {AbbreviationDictionary|null} dictionary - The dictionary from `updateDictionary()`.
+     * @returns {object} The context of the save.
+     */
+    static createContext(options, dictionary) {
+        return {
+            session: options.session ?? new StorageSession(),
+            shared: options.session !== undefined,
+            references: new WeakMap(),
+            trackAllReferences: options.trackAllReferences === true,
+            raw: options.raw === true,
+            // `overwrite` and `atomic` remove everything that wasn't written again, see `clearReplacedNodeSteps()`.
+            inPlace: options.overwrite !== true && options.atomic !== true,
+            dictionary
+        };
+    }
+
+    /**
+     * Writes a root with the given context, the part of `saveInstanceSteps()` after the context
+     * was created.
+     *
+     * @param {*} instance - The object or value to be saved.
+     * @param {string} saveKey - The base key under which the instance is stored.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} options - The save options, see `saveInstance()`.
+     * @param {object} context - The context from `createContext()`.
+     */
+    static *writeInstanceSteps(instance, saveKey, storageDest, options, context) {
+        yield* this.writeRootSteps(saveKey, storageDest, options, function* (backend, rootKey) {
+            yield* Save.saveValueSteps(instance, rootKey, backend, true, true, context);
+            backend.set(pathLayout.version(rootKey), options.schemaVersion ?? Migrations.getSchemaVersion());
+            writeDictionaryVersion(backend, rootKey, context.dictionary);
+            backend.set(pathLayout.formatKey(rootKey), pathLayout.format);
+        });
+    }
+
+    /**
+     * Asynchronous variant of `saveInstance()`. The save runs as a job (`system.runJob` in the game)
+     * that writes a snapshot of the instance node by node and stops for the rest of the tick once
+     * its per-tick time budget is used up. It behaves like `saveInstance()` otherwise: properties that
+     * fail to save are logged and skipped, an atomic save that fails rejects with a `StorageBackendError`
+     * and leaves the previous data in use.
+     *
+     * The instance is copied when the call is made, see `snapshot()`, so the save stores the state
+     * of that moment and changes made while the job is running don't end up in the result. Loads
+     * running meanwhile see a mix of old and new data, unless the save is atomic.
+     *
+     * @param {*} instance - The object or value to be saved.
+     * @param {string} saveKey - The base key under which the instance is stored.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Save options, see `saveInstance()`, plus `tickBudgetMs` and
+     *        `onProgress` (see `runAsJob()`). The total passed to `onProgress` isn't known before the end.
+     * @returns {Promise<void>} Resolves once all writes are done.
+     */
+    static saveInstanceAsync(instance, saveKey, storageDest = getDefaultStorage(), options = {}) {
+        try {
+            const context = { raw: options.raw === true, copies: new Map(), originals: new WeakMap() };
+            const copy = this.snapshot(instance, context);
+            const steps = this.saveInstanceSteps(copy, saveKey, resolveBackend(storageDest), { ...options, raw: true }, context.originals);
+            return runAsJob(steps, { ...options, total: undefined });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Copies a graph into plain data as saved with `raw`, which is what the save would write at
+     * this moment: `onBeforeSave` hooks run and classes with `toStorage` are replaced by their
+     * `{ type, data }` wrapper, other class instances become plain objects with their class tag
+     * as `type` field. Shared and cyclic objects stay shared in the copy.
+     *
+     * @param {*} instance - The value to copy.
+     * @param {object} context - State of the copy.
+     * @param {boolean} context.raw - Whether `instance` already is plain data, then no hooks run.
+     * @param {Map<object, object>} context.copies - The copy of every object copied so far.
+     * @param {WeakMap<object, object>} context.originals - Receives the original of every copied object.
+     * @returns {*} The copy.
+     */
+    static snapshot(instance, context) {
+        instance = proxyTargets.get(instance) ?? instance;
+        const special = encodeSpecialValue(instance);
+        if (special) return decodeSpecialValue(special.type, special.value);
+        if (typeof instance !== "object") return instance;
+        if (context.copies.has(instance)) return context.copies.get(instance);
+
+        const type = Save.getType(instance);
+        if (!context.raw) {
+            if (type !== undefined && instance.type === undefined) instance.type = type;
+            runHook(instance, "onBeforeSave");
+        }
+        const toStorage = context.raw ? undefined : registeredClasses.get(type)?.toStorage;
+        let copy;
+        if (Array.isArray(instance)) {
+            copy = [];
+        } else if (instance instanceof Map) {
+            copy = new Map();
+        } else if (instance instanceof Set) {
+            copy = new Set();
+        } else {
+            copy = type !== undefined ? { type } : {};
+        }
+        context.copies.set(instance, copy);
+        context.originals.set(copy, instance);
+
+        if (toStorage) {
+            copy.data = this.snapshot(toStorage(instance), context);
+        } else if (Array.isArray(instance)) {
+            for (const item of instance) copy.push(this.snapshot(item, context));
+        } else if (instance instanceof Map) {
+            for (const [key, value] of instance) copy.set(this.snapshot(key, context), this.snapshot(value, context));
+        } else if (instance instanceof Set) {
+            for (const item of instance) copy.add(this.snapshot(item, context));
+        } else {
+            for (const key of this.getFieldKeys(instance)) {
+                try {
+                    // Defined rather than assigned, so that a `__proto__` field stays a field.
+                    Object.defineProperty(copy, key, { value: this.snapshot(instance[key], context), enumerable: true, writable: true, configurable: true });
+                } catch (error) {
+                    console.error(
+                        "Failed to copy property for an asynchronous save. " +
+                        JSON.stringify({ key, type, error: String(error) })
+                    );
+                }
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * Writes a root either in place (with optional overwrite) or atomically.
+     *
+     * @param {string} saveKey - The key passed to `saveInstance()`.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} options - The save options.
+     * @param {function(import('./StorageBackends.js').StorageBackend, string): Generator} write - Writes the root
+     *        to the given backend under the given stored key.
+     */
+    static *writeRootSteps(saveKey, storageDest, options, write) {
+        if (options.integrity !== undefined && options.integrity !== "checksum" && options.integrity !== "mac") {
+            throw new Error("Integrity must be \"checksum\" or \"mac\". " + JSON.stringify({ saveKey, integrity: options.integrity }));
+        }
+        if (options.integrity === "mac" && !storageKeys) {
+            throw new StorageFormatError("MACs need a storage secret, see setStorageSecret().", { saveKey });
+        }
+        // The checksum covers the final state: inside the new generation, or after stale keys were removed.
+        if (options.atomic) {
+            yield* this.writeAtomicallySteps(saveKey, storageDest, function* (backend, rootKey) {
+                yield* write(backend, rootKey);
+                yield* writeIntegritySteps(backend, saveKey, rootKey, options.integrity);
+            });
+            return;
+        }
+        const rootKey = writableRoot(saveKey, storageDest);
+        yield* this.writeWithOverwriteSteps(saveKey, storageDest, options, backend => write(backend, rootKey));
+        yield* writeIntegritySteps(storageDest, saveKey, rootKey, options.integrity);
+    }
+
+    /**
+     * Writes a root as a new generation, so that an interruption never leaves a mix of old and
+     * new data behind:
+     * 1) The journal `<root>:j` records the generation about to be written.
+     * 2) The data is written under `<root>:g<generation>`.
+     * 3) The head `<root>:h` is set to the new generation, this single write is the commit.
+     *    Routed fields and shared objects (see `StorageSession`), which all generations share, are
+     *    written in the same step and get their previous values back if the commit fails.
+     * 4) The previous data and the journal are removed.
+     * Loads always read the generation the head points to, also while `saveInstanceAsync()` is
+     * still writing the next one. `recoverRoot()` finishes or discards a generation whose journal
+     * is left over.
+     *
+     * @param {string} saveKey - The key passed to `saveInstance()`.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {function(import('./StorageBackends.js').StorageBackend, string): Generator} write - Writes the root.
+     */
+    static *writeAtomicallySteps(saveKey, storageDest, write) {
+        const rootKey = pathLayout.root(saveKey);
+        const release = holdAtomicSave(rootKey, storageDest);
+        try {
+            recoverRoot(saveKey, storageDest);
+            const previousKeys = yield* Delete.collectKeysSteps(saveKey, storageDest);
+            const head = storageDest.get(pathLayout.head(rootKey));
+            const generation = (typeof head === "number" ? head : 0) + 1;
+            const generationKey = pathLayout.generation(rootKey, generation);
+            storageDest.set(pathLayout.journal(rootKey), generation);
+
+            // Failed writes are only logged by saveValue(), but must prevent the commit.
+            // Routed fields and shared objects live outside the generation, so they are held back until the commit.
+            const recorder = new RecordingBackend(storageDest, { deferKey: key => isRouteKey(key) || isSharedKey(key) });
+            const abort = error => {
+                recorder.revertDeferred();
+                for (const key of generationKeys(generationKey, storageDest)) storageDest.delete(key);
+                storageDest.delete(pathLayout.journal(rootKey));
+                throw new StorageBackendError("Atomic save failed, the previous data stays in use.", { saveKey, generation, error: String(error) });
+            };
+            try {
+                yield* write(recorder, generationKey);
+            } catch (error) {
+                recorder.errors.push(error);
+            }
+            if (recorder.errors.length > 0) abort(recorder.errors[0]);
+            // Both happen in the same tick, so the routed fields change together with the commit.
+            try {
+                recorder.applyDeferred();
+                storageDest.set(pathLayout.head(rootKey), generation);
+            } catch (error) {
+                abort(error);
+            }
+
+            for (const key of previousKeys) {
+                if (!recorder.writtenKeys.has(key)) storageDest.delete(key);
+            }
+            for (const key of otherGenerationKeys(rootKey, generation, storageDest)) storageDest.delete(key);
+            storageDest.delete(pathLayout.journal(rootKey));
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Runs a write operation and, in overwrite mode, deletes every key that was stored under
+     * `saveKey` before but wasn't written again.
+     *
+     * @param {string} saveKey - The base key that is written.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} options - The save options.
+     * @param {function(import('./StorageBackends.js').StorageBackend): Generator} write - Writes the new data to the given backend.
+     */
+    static *writeWithOverwriteSteps(saveKey, storageDest, options, write) {
+        if (!options.overwrite) {
+            yield* write(storageDest);
+            return;
+        }
+        const staleKeys = new Set(yield* Delete.collectKeysSteps(saveKey, storageDest));
+        const recorder = new RecordingBackend(storageDest);
+        yield* write(recorder);
+        for (const key of recorder.writtenKeys) staleKeys.delete(key);
+        for (const key of staleKeys) storageDest.delete(key);
+    }
+
+    /**
+     * Recursively saves a value to the storage backend.
+     *
+     * @param {*} instance - The object or value to be saved.
+     * @param {string} saveKey - The key under which the value is stored.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {boolean} [costumizedSaveAllowed=true] - Used internally to avoid recursive reprocessing in custom saves.
+     * @param {boolean} [storageReferenceAllowed=true] - Whether reference-based storage is permitted for this save path.
+     *        This is set to false once a new reference is created to prevent an infinite loop.
+     * @param {object} [context] - State of the current save, see `createContext()`.
+     * @param {StorageSession} [context.session] - The session handing out identities, see `identityOf()`.
+     * @param {boolean} [context.shared=false] - Whether the session was passed explicitly, only then
+     *        tracked objects are stored in the shared area, see `saveSharedSteps()`.
+     * @param {WeakMap<object, string>} [context.references] - Key of every tracked object written by this
+     *        save, later occurrences are stored as references to it.
+     * @param {boolean} [context.trackAllReferences=false] - Whether every object is reference-tracked.
+     * @param {boolean} [context.raw=false] - Whether plain data is saved without hooks and `toStorage`.
+     * @param {Set<object>} [context.hooksRun] - Objects whose `onBeforeSave` hook already ran, see `TrackedRoot.flush()`.
+     * @param {AbbreviationDictionary} [context.dictionary] - Abbreviates the field names, see `updateDictionary()`.
+     */
+    static saveValue(instance, saveKey, storageDest, costumizedSaveAllowed = true, storageReferenceAllowed = true, context = { session: new StorageSession(), references: new WeakMap() }) {
+        runSteps(this.saveValueSteps(instance, saveKey, storageDest, costumizedSaveAllowed, storageReferenceAllowed, context));
+    }
+
+    /**
+     * Generator behind `saveValue()`, yields once per saved node.
+     */
+    static *saveValueSteps(instance, saveKey, storageDest, costumizedSaveAllowed = true, storageReferenceAllowed = true, context = { session: new StorageSession(), references: new WeakMap() }) {
+        yield;
+        // Tracked proxies (see `TrackedRoot`) are saved as the objects they wrap.
+        instance = proxyTargets.get(instance) ?? instance;
+
+        // Values without a native dynamic property representation are stored with a type tag.
+        const special = encodeSpecialValue(instance);
+        if (special) {
+            yield* this.clearReplacedNodeSteps(saveKey, storageDest, special.type, false, context);
+            try {
+                storageDest.set(pathLayout.type(saveKey), special.type);
+                if (special.value !== undefined) writeValue(storageDest, `${saveKey}`, special.value);
+            } catch (error) {
+                console.error(
+                    "Failed to save tagged value. " +
+                    JSON.stringify({ saveKey, type: special.type })
+                );
+            }
+            return;
+        }
+
+        // If the instance is a simple data type, save directly.
+        if (
+            typeof instance === "number" ||
+            typeof instance === "boolean" ||
+            typeof instance === "string"
+        ) {
+            yield* this.clearReplacedNodeSteps(saveKey, storageDest, undefined, false, context);
+            try {
+                writeValue(storageDest, `${saveKey}`, instance);
+            } catch (error) {
+                console.error(
+                    "Failed to save primitive property. " +
+                    JSON.stringify({ saveKey, costumizedSaveAllowed })
+                );
+            }
+            return;
+        }
+
+        // Registered instances without a type field get one, a type field holding data is left alone.
+        const type = Save.getType(instance);
+        if (type !== undefined && instance.type === undefined) instance.type = type;
+
+        // Attempt reference-based storage for known object types (or every object if all references are tracked).
+        const tracked = storageReferenceAllowed && (context.trackAllReferences || typesForReferenceBasedStorageSystem.has(type));
+        // If this save already wrote the instance, store a reference pointer to avoid duplication.
+        if (tracked && context.references.has(instance)) {
+            yield* this.clearReplacedNodeSteps(saveKey, storageDest, "storageReference", false, context);
+            this.saveReference(context.references.get(instance), saveKey, storageDest);
+            return;
+        }
+        // With a shared session, the object is stored once in the shared area for all roots.
+        if (tracked && context.shared) {
+            const sharedKey = pathLayout.shared(identityOf(instance, storageDest, context));
+            context.references.set(instance, sharedKey);
+            yield* this.clearReplacedNodeSteps(saveKey, storageDest, "storageReference", false, context);
+            this.saveReference(sharedKey, saveKey, storageDest);
+            yield* this.saveSharedSteps(instance, sharedKey, storageDest, context);
+            return;
+        }
+        // Arrays, Sets and Maps are the only nodes without a field list.
+        if (costumizedSaveAllowed) yield* this.clearReplacedNodeSteps(saveKey, storageDest, type, !["Array", "Set", "Map"].includes(type), context);
+        // The first occurrence is saved in place, its key becomes the pointer for all later ones.
+        if (tracked) context.references.set(instance, saveKey);
+
+        if (costumizedSaveAllowed && !context.raw && !context.hooksRun?.has(instance)) runHook(instance, "onBeforeSave");
+
+        // If the object has a type that demands custom saving, handle it separately.
+        if (type && typesWithCostumizedStorageSystem.has(type) && costumizedSaveAllowed) {
+            yield* this.costumizedSaveSteps(instance, saveKey, storageDest, context);
+            return;
+        }
+
+        // Otherwise, perform default saving logic:
+        // 1) Store the class tag, if there is one (see `classTagOf()`).
+        // 2) Collect keys (excluding functions and ignored properties).
+        // 3) Abbreviate keys if applicable and store them for retrieval later.
+        // 4) Store routed fields as scores or tags and record their routes.
+        if (type !== undefined) storageDest.set(pathLayout.type(saveKey), type);
+        const keys = this.getFieldKeys(instance);
+        writeValue(
+            storageDest,
+            pathLayout.keys(saveKey),
+            pathLayout.joinKeys(keys.map(k => abbreviate(type, k, context.dictionary)))
+        );
+
+        // Recursively save each property.
+        const routes = Object.create(null);
+        for (const key of keys) {
+            const prop = instance[key];
+            const saveKeyAbbreviated = abbreviate(type, key, context.dictionary);
+            const route = fieldRoute(type, key, prop, saveKey);
+
+            try {
+                if (route) {
+                    storageDest.set(route.key, route.value);
+                    routes[saveKeyAbbreviated] = route.route;
+                    continue;
+                }
+                yield* this.saveFieldSteps(instance, key, pathLayout.field(saveKey, saveKeyAbbreviated), storageDest, context);
+            } catch (error) {
+                console.error(
+                    "Failed to recursively save property. " +
+                    JSON.stringify({ key, saveKey, error: String(error) })
+                );
+            }
+        }
+        if (registeredClasses.get(type)?.routes) this.writeRoutes(saveKey, routes, storageDest);
+    }
+
+    /**
+     * Removes the node stored at `saveKey` before a save without `overwrite` stores a value of
+     * another kind there. Otherwise a type tag, field list or length left by the old value would
+     * change how the new one loads, e.g. a number replacing a Date would load as a Date.
+     *
+     * @param {string} saveKey - The key the new value is stored under.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {string|undefined} type - The type tag of the new value, `undefined` for primitives and plain objects.
+     * @param {boolean} hasFields - Whether the new value is stored with a field list.
+     * @param {object} context - State of the current save, see `saveValue()`.
+     */
+    static *clearReplacedNodeSteps(saveKey, storageDest, type, hasFields, context) {
+        if (!context.inPlace) return;
+        const replaced = storageDest.get(pathLayout.type(saveKey)) !== type ||
+            (!hasFields && storageDest.get(pathLayout.keys(saveKey)) !== undefined);
+        if (!replaced) return;
+        const found = new Set();
+        yield* Delete.collectNodeKeysSteps(saveKey, storageDest, found, new Set());
+        for (const key of found) storageDest.delete(key);
+    }
+
+    /**
+     * Stores an object in the shared area, replacing what was stored there for it before. The node
+     * records the dictionary version it was written with, like a root, since the roots referencing
+     * it may have been saved with an older one.
+     *
+     * @param {object} instance - The tracked object.
+     * @param {string} sharedKey - The key of the object in the shared area, see `identityOf()`.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} context - State of the current save, see `saveValue()`.
+     */
+    static *saveSharedSteps(instance, sharedKey, storageDest, context) {
+        const staleKeys = new Set();
+        yield* Delete.collectNodeKeysSteps(sharedKey, storageDest, staleKeys, new Set());
+        const recorder = new RecordingBackend(storageDest);
+        yield* this.saveValueSteps(instance, sharedKey, recorder, true, false, { ...context, inPlace: false });
+        for (const key of recorder.writtenKeys) staleKeys.delete(key);
+        for (const key of staleKeys) storageDest.delete(key);
+        const dictionaryKey = pathLayout.dictionaryVersion(sharedKey);
+        if (context.dictionary) storageDest.set(dictionaryKey, context.dictionary.names.length);
+        else storageDest.delete(dictionaryKey);
+    }
+
+    /**
+     * Stores a reference to an object saved before.
+     *
+     * @param {string} pointer - The key of the first occurrence.
+     * @param {string} saveKey - The key of the reference.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     */
+    static saveReference(pointer, saveKey, storageDest) {
+        storageDest.set(pathLayout.type(saveKey), "storageReference");
+        storageDest.set(pathLayout.pointer(saveKey), pointer);
+    }
+
+    /**
+     * Saves a field of an object, encrypted if its class says so (see `encryptValue()`).
+     *
+     * @param {object} instance - The object owning the field.
+     * @param {string} name - The field name.
+     * @param {string} saveKey - The key of the field.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} context - State of the current save, see `saveValue()`.
+     */
+    static saveField(instance, name, saveKey, storageDest, context) {
+        runSteps(this.saveFieldSteps(instance, name, saveKey, storageDest, context));
+    }
+
+    /**
+     * Generator behind `saveField()`.
+     */
+    static *saveFieldSteps(instance, name, saveKey, storageDest, context) {
+        if (!isEncrypted(Save.getType(instance), name)) {
+            yield* this.saveValueSteps(instance[name], saveKey, storageDest, true, true, context);
+            return;
+        }
+        const encrypted = encryptValue(instance[name], context.raw === true, fieldLocation(saveKey));
+        storageDest.set(pathLayout.type(saveKey), "Encrypted");
+        writeValue(storageDest, saveKey, encrypted);
+    }
+
+    /**
+     * Stores the routes of an object node under `<path>:r`, or removes them if no field is routed.
+     *
+     * @param {string} saveKey - The key of the object.
+     * @param {Object<string, string>} routes - Stored field name to route, see `fieldRoute()`.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     */
+    static writeRoutes(saveKey, routes, storageDest) {
+        const routesKey = pathLayout.routes(saveKey);
+        if (Object.keys(routes).length > 0) writeValue(storageDest, routesKey, JSON.stringify(routes));
+        else if (storageDest.get(routesKey) !== undefined) storageDest.delete(routesKey);
+    }
+
+    /**
+     * Returns the type tag an object is stored with: "Array", "Map" or "Set", the class tag of
+     * the object (see `classTagOf()`) or the name its constructor was registered with.
+     *
+     * @param {object} instance - The object.
+     * @returns {string|undefined} The type tag.
+     */
+    static getType(instance) {
+        // If the instance is an Array, mark with a type for specialized loading.
+        if (Array.isArray(instance)) {
+            return "Array";
+        }
+        if (instance instanceof Map) {
+            return "Map"
+        }
+        if (instance instanceof Set) {
+            return "Set"
+        }
+        return classTagOf(instance) ?? registeredTypeNames.get(instance.constructor);
+    }
+
+    /**
      * Saves instances that require a customized storage process.
      * Used for types specified in `typesWithCostumizedStorageSystem`.
      *
-     * @param {*} instance - The object to be saved.
-     * @param {string} saveKey - The base key for storage.
-     * @param {*} storageDest - The storage destination (usually `world`).
+     * @param {*} instance - The object to be saved.
+     * @param {string} saveKey - The base key for storage.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} [context] - State of the current save, see `saveValue()`.
+     */
+    static costumizedSave(instance, saveKey, storageDest, context = { session: new StorageSession(), references: new WeakMap() }) {
+        runSteps(this.costumizedSaveSteps(instance, saveKey, storageDest, context));
+    }
+
+    /**
+     * Generator behind `costumizedSave()`.
+     */
+    static *costumizedSaveSteps(instance, saveKey, storageDest, context = { session: new StorageSession(), references: new WeakMap() }) {
+        const type = Save.getType(instance);
+        switch (type) {
+            case "Array":
+                try {
+                    // For arrays, store the type and length, then individually save items.
+                    storageDest.set(pathLayout.type(saveKey), "Array");
+                    storageDest.set(pathLayout.length(saveKey), instance.length);
+                } catch (error) {
+                    console.error(
+                        "Failed to save array properties. " +
+                        JSON.stringify({ saveKey })
+                    );
+                }
+                // Recursively save each element of the array.
+                for (let i = 0; i < instance.length; i++) {
+                    yield* Save.saveValueSteps(instance[i], pathLayout.item(saveKey, i), storageDest, true, true, context);
+                }
+                break;
+            case "Set":
+                try {
+                    // Store the type and size of the Set.
+                    storageDest.set(pathLayout.type(saveKey), "Set");
+                    storageDest.set(pathLayout.size(saveKey), instance.size);
+
+                    // Store each element under a sequential key.
+                    let idx = 0;
+                    for (const item of instance) {
+                        yield* Save.saveValueSteps(
+                            item,
+                            pathLayout.setItem(saveKey, idx),
+                            storageDest,
+                            true,
+                            true,
+                            context
+                        );
+                        idx++;
+                    }
+                } catch (error) {
+                    console.error(
+                        "Failed to save Set property. " +
+                        JSON.stringify({  saveKey })
+                    );
+                }
+                break;
+            case "Map":
+                try {
+                    // Store the type and size of the Map.
+                    storageDest.set(pathLayout.type(saveKey), "Map");
+                    storageDest.set(pathLayout.size(saveKey), instance.size);
+                    // Store each entry as separate key/value pairs.
+                    let idx = 0;
+                    for (const [key, value] of instance) {
+                        yield* Save.saveValueSteps(
+                            key,
+                            pathLayout.mapKey(saveKey, idx),
+                            storageDest,
+                            true,
+                            true,
+                            context
+                        );
+                        yield* Save.saveValueSteps(
+                            value,
+                            pathLayout.mapValue(saveKey, idx),
+                            storageDest,
+                            true,
+                            true,
+                            context
+                        );
+                        idx++;
+                    }
+                } catch (error) {
+                    console.error(
+                        "Failed to save Map property. " +
+                        JSON.stringify({ saveKey })
+                    );
+                }
+                break;
+            default: {
+                // Classes with their own serialization store the data returned by toStorage instead of their fields.
+                // Plain data of such classes already is the `{ type, data }` wrapper.
+                const toStorage = context.raw ? undefined : registeredClasses.get(type)?.toStorage;
+                if (toStorage) {
+                    yield* this.saveValueSteps({ type, data: toStorage(instance) }, saveKey, storageDest, false, false, context);
+                    break;
+                }
+                // Fallback to the default save, but with custom saving disabled for this pass
+                // to avoid an infinite loop back into costumizedSave.
+                yield* this.saveValueSteps(instance, saveKey, storageDest, false, false, context);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Retrieves property names from an instance that should be saved.
+     * Excludes any that are functions, listed in `ignoreProperties` or ignored by the instance's class.
+     *
+     * @param {*} instance - The object from which to retrieve keys.
+     * @param {boolean} [filter=true] - Whether to filter out ignored properties.
+     * @returns {string[]} Array of property names to be stored.
+     */
+    static getKeys(instance, filter = true) {
+        const allProps = Object.getOwnPropertyNames(instance);
+        if (!allProps.length) return [];
+        const type = Save.getType(instance);
+
+        return allProps.reduce((acc, prop) => {
+            if ((!filter || !isIgnored(type, prop)) && typeof instance[prop] !== 'function') {
+                acc.push(prop);
+            }
+            return acc;
+        }, []);
+    }
+
+    /**
+     * Returns the properties that are stored as fields of an object node. A `type` that is the
+     * class tag of the object is stored as the type tag of the node instead.
+     *
+     * @param {*} instance - The object from which to retrieve keys.
+     * @returns {string[]} Array of property names to be stored as fields.
+     */
+    static getFieldKeys(instance) {
+        const hasTypeTag = instance.type !== undefined && instance.type === Save.getType(instance);
+        return this.getKeys(instance).filter(key => !hasTypeTag || key !== "type");
+    }
+
+    /**
+     * Saves an instance as a single JSON blob instead of one dynamic property per field.
+     * The whole graph is encoded by `BlobSerializer` and chunked if necessary. `Load.loadInstance()`
+     * recognizes blobs by their type and restores them transparently.
+     *
+     * @param {*} instance - The object or value to be saved.
+     * @param {string} saveKey - The key under which the blob is stored.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Save options, see `saveInstance()`.
+     */
+    static saveBlob(instance, saveKey, storageDest = getDefaultStorage(), options = {}) {
+        try {
+            this.writeBlob(instance, saveKey, resolveBackend(storageDest), options);
+        } catch (error) {
+            console.error(
+                "Failed to save blob. " +
+                JSON.stringify({ saveKey, error: String(error) })
+            );
+        }
+    }
+
+    /**
+     * Writes a blob like `saveBlob()`, but lets errors reach the caller.
+     *
+     * @param {*} instance - The object or value to be saved.
+     * @param {string} saveKey - The key under which the blob is stored.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} options - Save options, see `saveInstance()`.
+     */
+    static writeBlob(instance, saveKey, storageDest, options) {
+        const dictionary = updateDictionary(instance, storageDest);
+        const json = JSON.stringify(BlobSerializer.encode(instance, options.raw === true, true, dictionary, true, pathLayout.root(saveKey)));
+        runSteps(this.writeRootSteps(saveKey, storageDest, options, function* (backend, rootKey) {
+            writeValue(backend, pathLayout.blob(rootKey), json);
+            backend.set(pathLayout.type(rootKey), "Blob");
+            backend.set(pathLayout.version(rootKey), options.schemaVersion ?? Migrations.getSchemaVersion());
+            writeDictionaryVersion(backend, rootKey, dictionary);
+            backend.set(pathLayout.formatKey(rootKey), pathLayout.format);
+        }));
+    }
+}
+
+/**
+ * Sets a loaded field. A field named `__proto__` becomes an own property instead of replacing
+ * the prototype of the object.
+ *
+ * @param {object} target - The object receiving the field.
+ * @param {string} name - The field name.
+ * @param {*} value - The field value.
+ */
+function assignField(target, name, value) {
+    if (name === "__proto__") Object.defineProperty(target, name, { value, writable: true, enumerable: true, configurable: true });
+    else target[name] = value;
+}
+
+/**
+ * Defines a property that loads its value on first access and then turns into a normal data
+ * property. Assigning to it before that skips the load.
+ *
+ * @param {object} target - The object or Array receiving the property.
+ * @param {string} name - The property name.
+ * @param {function(): *} load - Loads the value.
+ */
+function defineLazyProperty(target, name, load) {
+    const settle = value => Object.defineProperty(target, name, { value, writable: true, enumerable: true, configurable: true });
+    Object.defineProperty(target, name, {
+        enumerable: true,
+        configurable: true,
+        get() {
+            const value = load();
+            settle(value);
+            return value;
+        },
+        set: settle
+    });
+}
+
+/**
+ * State of the `LazyMap`s whose entries aren't all loaded yet.
+ */
+const lazyMapStates = new WeakMap();
+
+/**
+ * Map returned by lazy loads. Looking up an entry (`get`, `has`) loads the keys of all entries
+ * once and the value of only that entry. Iterating or changing the Map loads the remaining
+ * entries in their stored order, afterwards it behaves like a normal Map.
+ */
+class LazyMap extends Map {
+    /**
+     * @param {number} size - The number of stored entries.
+     * @param {function(number): *} loadKey - Loads the key of the entry with the given index.
+     * @param {function(number, boolean): *} loadValue - Loads the value of the entry with the given
+     *        index, the second argument tells whether the value may be loaded lazily.
+     */
+    constructor(size, loadKey, loadValue) {
+        super();
+        lazyMapStates.set(this, { size, loadKey, loadValue, index: null, values: new Map() });
+    }
+
+    get size() {
+        return lazyMapStates.get(this)?.size ?? super.size;
+    }
+
+    get(key) {
+        if (!lazyMapStates.has(this)) return super.get(key);
+        return this.loadEntry(key, true);
+    }
+
+    has(key) {
+        if (!lazyMapStates.has(this)) return super.has(key);
+        return this.indexOf(key) !== -1;
+    }
+
+    set(key, value) {
+        this.resolve();
+        return super.set(key, value);
+    }
+
+    delete(key) {
+        this.resolve();
+        return super.delete(key);
+    }
+
+    clear() {
+        lazyMapStates.delete(this);
+        super.clear();
+    }
+
+    forEach(callback, thisArg) {
+        this.resolve();
+        super.forEach(callback, thisArg);
+    }
+
+    entries() {
+        this.resolve();
+        return super.entries();
+    }
+
+    keys() {
+        this.resolve();
+        return super.keys();
+    }
+
+    values() {
+        this.resolve();
+        return super.values();
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Returns the value of one entry, loading only that entry.
+     *
+     * @param {*} key - The key of the entry.
+     * @param {boolean} lazy - Whether objects inside the value may be loaded lazily.
+     * @returns {*} The value, `undefined` if there is no such entry.
+     */
+    loadEntry(key, lazy) {
+        const state = lazyMapStates.get(this);
+        if (!state) return super.get(key);
+        const index = this.indexOf(key);
+        if (index === -1) return undefined;
+        if (!state.values.has(index)) state.values.set(index, state.loadValue(index, lazy));
+        return state.values.get(index);
+    }
+
+    /**
+     * Returns the stored index of an entry, loading the keys of all entries on first use.
+     */
+    indexOf(key) {
+        const state = lazyMapStates.get(this);
+        if (!state.index) {
+            state.index = new Map();
+            for (let i = 0; i < state.size; i++) state.index.set(state.loadKey(i), i);
+        }
+        return state.index.get(key) ?? -1;
+    }
+
+    /**
+     * Loads all remaining entries.
+     */
+    resolve() {
+        const state = lazyMapStates.get(this);
+        if (!state) return;
+        const keys = state.index ? [...state.index.keys()] : Array.from({ length: state.size }, (_, i) => state.loadKey(i));
+        for (let i = 0; i < state.size; i++) {
+            const key = keys[i];
+            const value = state.values.has(i) ? state.values.get(i) : state.loadValue(i, true);
+            super.set(key, value);
+        }
+        lazyMapStates.delete(this);
+    }
+}
+
+/**
+ * Placeholder for a reference whose target is still being created by `fromStorage`. It is
+ * replaced by `Load.completeMissingProperties()` and, unlike a stored object, can't be confused
+ * with data that happens to have a `type` and a `pointer` field.
+ */
+class PendingReference {
+    /**
+     * @param {string} pointer - The key of the referenced object.
+     */
+    constructor(pointer) {
+        this.pointer = pointer;
+    }
+}
+
+/**
+ * Class responsible for loading instances from the dynamic property storage.
+ * Main entry point is the static method `loadInstance()`.
+ */
+export class Load {
+    /**
+     * Loads an instance from the dynamic property storage. If the stored schema version is older
+     * than the current one, the data is first loaded as plain data, migrated step by step
+     * (see `Migrations`) and only then instantiated.
+     *
+     * @param {string} loadKey - The base key under which the instance was stored.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination: a backend or an object with
+     *        dynamic property methods such as `world`, an `Entity` or an `ItemStack`.
+     * @param {object} [options={}] - Load options.
+     * @param {object} [options.report] - Receives details about the load: `report.migrations` lists
+     *        the migrations that ran, `report.issues` the problems found by the class schemas, type
+     *        tags without a registered class (see `applySchema()`), failed integrity checks and
+     *        encrypted values that couldn't be decrypted.
+     * @param {boolean} [options.strict=false] - Throws a `StorageFormatError` with the issues instead
+     *        of returning the repaired data.
+     * @param {string} [options.integrity] - Requires a checksum ("checksum") or a MAC ("mac") to be
+     *        stored with the root. Stored checksums and MACs are verified in any case, see `verifyIntegrity()`.
+     * @param {boolean} [options.lazy=false] - Loads the fields of objects and the items of Arrays on
+     *        first access and returns Maps whose entries are loaded on lookup (see `LazyMap`). Data that
+     *        needs migrations, blobs and `strict` loads are always loaded completely, objects with an
+     *        `onAfterLoad` hook get their own fields loaded before the hook runs. Issues of parts loaded
+     *        later are added to `report.issues` when they load.
+     * @param {StorageSession} [options.session] - Shares loaded objects with other loads: a shared
+     *        object that was loaded before in the session is returned again, see `StorageSession`.
+     *        By default each call uses its own session.
+     * @returns {*} The reconstructed object or value.
+     */
+    static loadInstance(loadKey, storageDest = getDefaultStorage(), options = {}) {
+        return runSteps(this.loadInstanceSteps(loadKey, resolveBackend(storageDest), options));
+    }
+
+    /**
+     * Loads a single entry of a Map stored as root without loading the other entries: the keys
+     * of all entries are read, but only the value of the requested one.
+     *
+     * @param {string} loadKey - The key under which the Map was stored.
+     * @param {*} entryKey - The key of the entry.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Load options, see `loadInstance()`. With `lazy` the value itself
+     *        is loaded lazily as well, otherwise completely.
+     * @returns {*} The value of the entry, `undefined` if the Map has no such entry.
+     */
+    static loadMapEntry(loadKey, entryKey, storageDest = getDefaultStorage(), options = {}) {
+        const map = this.loadInstance(loadKey, storageDest, { ...options, lazy: true });
+        if (!(map instanceof Map)) {
+            console.error("Stored value is not a Map. " + JSON.stringify({ loadKey }));
+            return undefined;
+        }
+        return map instanceof LazyMap ? map.loadEntry(entryKey, options.lazy === true) : map.get(entryKey);
+    }
+
+    /**
+     * Asynchronous variant of `loadInstance()`. The load runs as a job (`system.runJob` in the game)
+     * and stops for the rest of the tick once its per-tick time budget is used up.
+     *
+     * @param {string} loadKey - The base key under which the instance was stored.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Load options, see `loadInstance()` and `runAsJob()`.
+     * @returns {Promise<*>} Resolves with the reconstructed object or value.
+     */
+    static loadInstanceAsync(loadKey, storageDest = getDefaultStorage(), options = {}) {
+        try {
+            return runAsJob(this.loadInstanceSteps(loadKey, resolveBackend(storageDest), options), options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Generator behind `loadInstance()` and `loadInstanceAsync()`, yields once per loaded node.
+     */
+    static *loadInstanceSteps(loadKey, storageDest, options) {
+        const report = options.report ?? {};
+        report.migrations = [];
+        report.issues = [];
+        const validation = { rootKey: loadKey, issues: report.issues };
+
+        recoverRoot(loadKey, storageDest);
+        const { layout, key } = resolveRoot(loadKey, storageDest);
+        this.verifyIntegrity(loadKey, layout, key, storageDest, validation, options);
+        // Data that failed its integrity check isn't even read in strict mode.
+        this.checkIssues(undefined, validation, options);
+        const dictionary = rootDictionary(layout, key, storageDest);
+        const storedVersion = storageDest.get(layout.version(key)) ?? 0;
+        const currentVersion = Migrations.getSchemaVersion();
+        if (storedVersion >= currentVersion) {
+            if (storedVersion > currentVersion) {
+                console.warn("Stored data is newer than the current schema version. " + JSON.stringify({ loadKey, storedVersion, currentVersion }));
+            }
+            const session = options.session ?? new StorageSession();
+            // Issues of lazily loaded parts would only turn up after the load returned, so strict loads everything.
+            const lazy = options.lazy === true && !options.strict;
+            const instance = yield* this.loadValueSteps(key, storageDest, true, { session, layout, dictionary, validation, lazy });
+            return this.checkIssues(instance, validation, options);
+        }
+
+        // Plain data must not end up in a shared session, so the raw load gets its own.
+        const data = yield* this.loadValueSteps(key, storageDest, true, { raw: true, session: new StorageSession(), layout, dictionary });
+        const result = Migrations.migrate(data, storedVersion, { rootKey: loadKey, toVersion: currentVersion });
+        report.migrations = result.applied;
+        return this.checkIssues(this.hydrate(result.data, new Map(), validation), validation, options);
+    }
+
+    /**
+     * Compares the checksum or MAC stored with a root to the stored data and adds an issue to the
+     * validation if they differ ("checksumMismatch"), if a MAC can't be checked because no storage
+     * secret is set ("secretMissing") or if `options.integrity` requires protection the root doesn't
+     * have ("checksumMissing"). A required "mac" isn't satisfied by a plain checksum, which anyone
+     * can recompute.
+     *
+     * @param {string} loadKey - The key passed to `loadInstance()`.
+     * @param {object} layout - The layout of the root.
+     * @param {string} key - The stored key of the root.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {{rootKey: string, issues: object[]}} validation - Receives the issues.
+     * @param {object} options - The load options.
+     */
+    static verifyIntegrity(loadKey, layout, key, storageDest, validation, options) {
+        const stored = layout.integrity ? readValue(storageDest, layout.integrity(key), layout) : undefined;
+        const mode = integrityMode(stored);
+        if (options.integrity && mode !== "mac" && (options.integrity === "mac" || mode !== "checksum")) {
+            validation.issues.push({ key: loadKey, problem: "checksumMissing", action: "none", value: mode });
+        }
+        if (mode === undefined) return;
+        if (mode === "mac" && !storageKeys) {
+            validation.issues.push({ key: loadKey, problem: "secretMissing", action: "none" });
+            return;
+        }
+        if (computeIntegrity(mode, loadKey, key, storageDest) !== stored) {
+            validation.issues.push({ key: loadKey, problem: "checksumMismatch", action: "none", value: mode });
+        }
+    }
+
+    /**
+     * Ends a load: in strict mode a load with validation issues fails.
+     *
+     * @param {*} instance - The loaded instance.
+     * @param {{rootKey: string, issues: object[]}} validation - The issues of the load.
+     * @param {object} options - The load options.
+     * @returns {*} The loaded instance.
+     */
+    static checkIssues(instance, validation, options) {
+        if (options.strict && validation.issues.length > 0) {
+            throw new StorageFormatError("Stored data failed validation.", { loadKey: validation.rootKey, issues: validation.issues });
+        }
+        return instance;
+    }
+
+    /**
+     * Recursively loads a value from the storage backend.
+     *
+     * @param {string} loadKey - The key under which the value was stored.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {boolean} [costumizedSaveAllowed=true] - Used internally to avoid recursive reprocessing in custom saves.
+     * @param {object} [context] - State of the current load.
+     * @param {boolean} [context.raw=false] - Keeps registered classes as plain objects with their `type` field.
+     * @param {StorageSession} [context.session] - The session tracking loaded references.
+     * @param {object} [context.layout=pathLayout] - The key layout the data was stored in.
+     * @param {AbbreviationDictionary} [context.dictionary] - The dictionary the root was saved with.
+     * @param {boolean} [context.lazy=false] - Whether fields, items and Map entries are loaded on first access.
+     * @param {{issues: object[]}} [context.validation] - Collects validation issues, see `applySchema()`.
+     * @returns {*} The reconstructed object or value.
+     */
+    static loadValue(loadKey, storageDest, costumizedSaveAllowed = true, context = { session: new StorageSession(), layout: pathLayout }) {
+        return runSteps(this.loadValueSteps(loadKey, storageDest, costumizedSaveAllowed, context));
+    }
+
+    /**
+     * Generator behind `loadValue()`, yields once per loaded node.
+     */
+    static *loadValueSteps(loadKey, storageDest, costumizedSaveAllowed = true, context = { session: new StorageSession(), layout: pathLayout }) {
+        yield;
+        // Objects are registered under their key before their children are loaded, so a key that
+        // was reached before (through a reference) resolves to the same instance.
+        const loadedReferences = context.session.loadedReferencesFor(storageDest);
+        const known = loadedReferences.get(loadKey);
+        if (known?.isLoaded) return known.value;
+
+        // Check if there's a type stored.
+        const layout = context.layout ?? pathLayout;
+        const instanceType = storageDest.get(layout.type(loadKey));
+        let instance = false;
+
+        // Tagged values (Dates, BigInts, vectors, ...) are restored from their encoded value.
+        if (specialValueTypes.has(instanceType)) {
+            return decodeSpecialValue(instanceType, readValue(storageDest, loadKey, layout));
+        }
+
+        // If a known type is found and it requires custom loading, delegate.
+        if (instanceType && typesWithCostumizedStorageSystem.has(instanceType) && costumizedSaveAllowed) {
+            return yield* this.costumizedLoadSteps(instanceType, loadKey, storageDest, context);
+        }
+
+        // If there's a type stored, attempt to create an instance from the class registry.
+        if (isClassName(instanceType) && !context.raw && !registeredClasses.get(instanceType)?.fromStorage) {
+            instance = this.createInstance(instanceType);
+        }
+
+        // Retrieve stored keys (may be abbreviated).
+        let keys = readValue(storageDest, layout.keys(loadKey), layout);
+        if (typeof keys === "string") {
+            keys = layout.splitKeys(keys);
+        }
+
+        // If we still don't have an instance, default to an empty object.
+        if (!instance) {
+            instance = {};
+        }
+
+        // Recursively load each stored property.
+        if (Array.isArray(keys)) {
+            if (typeof instanceType === "string") {
+                instance.type = instanceType;
+                // The legacy layout stores the type field itself there, not a class tag.
+                if (layout === pathLayout && !isClassName(instanceType)) loadedClassTags.set(instance, instanceType);
+            }
+            // Filter out ignored properties.
+            keys = keys.filter(item => !isIgnored(instanceType, expand(instanceType, item, context.dictionary)));
+            // Instances of classes with fromStorage are registered once fromStorage created them.
+            if (context.raw || !registeredClasses.get(instanceType)?.fromStorage) {
+                loadedReferences.set(loadKey, { isLoaded: true, value: instance });
+            }
+            // Fields stored as scores or tags are read from there.
+            const routes = typeof instanceType === "string" && layout === pathLayout ? readRoutes(loadKey, storageDest) : null;
+            // onAfterLoad sees the fields of its object loaded, only objects further down stay lazy.
+            const lazy = context.lazy && !(costumizedSaveAllowed && !context.raw && hasHook(instance, "onAfterLoad"));
+            for (const key of keys) {
+                const name = expand(instanceType, key, context.dictionary);
+                if (routes && Object.hasOwn(routes, key)) {
+                    if (lazy) defineLazyProperty(instance, name, () => readRoute(routes[key], loadKey, storageDest));
+                    else assignField(instance, name, readRoute(routes[key], loadKey, storageDest));
+                    continue;
+                }
+                if (lazy) {
+                    defineLazyProperty(instance, name, () => Load.loadValue(layout.field(loadKey, key), storageDest, true, context));
+                    continue;
+                }
+                assignField(instance, name, yield* Load.loadValueSteps(layout.field(loadKey, key), storageDest, true, context));
+            }
+            // Raw data is validated once it was migrated and hydrated.
+            // In the legacy layout the type key holds the type field, which is only a tag if it names a class.
+            const classTag = layout === pathLayout || isClassName(instanceType) ? instanceType : undefined;
+            if (!context.raw) validateLoaded(instance, classTag, context.validation, loadKey);
+            if (!context.raw && instanceType && costumizedSaveAllowed) runHook(instance, "onAfterLoad");
+            return instance;
+        } else {
+            // No stored keys: it could be a primitive or direct data value.
+            const value = readValue(storageDest, loadKey, layout);
+            return value;
+        }
+    }
+
+    /**
+     * Loads instances that require a specialized loading process.
+     * Used for types specified in `typesWithCostumizedStorageSystem`.
+     *
+     * @param {string} type - The stored type identifier (e.g., "V").
+     * @param {string} loadKey - The base key from which data is loaded.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} [context={}] - State of the current load, see `loadValue()`.
+     * @returns {*} The reconstructed instance.
+     */
+    static costumizedLoad(type, loadKey, storageDest, context = { session: new StorageSession(), layout: pathLayout }) {
+        return runSteps(this.costumizedLoadSteps(type, loadKey, storageDest, context));
+    }
+
+    /**
+     * Generator behind `costumizedLoad()`.
+     */
+    static *costumizedLoadSteps(type, loadKey, storageDest, context = { session: new StorageSession(), layout: pathLayout }) {
+        const loadedReferences = context.session.loadedReferencesFor(storageDest);
+        const layout = context.layout ?? pathLayout;
+        switch (type) {
+            case "Array":
+                const arrayLength = storageDest.get(layout.length(loadKey)) ?? 0;
+                const arrInstance = [];
+                loadedReferences.set(loadKey, { isLoaded: true, value: arrInstance });
+
+                if (context.lazy) {
+                    for (let i = 0; i < arrayLength; i++) {
+                        defineLazyProperty(arrInstance, String(i), () => Load.loadValue(layout.item(loadKey, i), storageDest, true, context));
+                    }
+                    return arrInstance;
+                }
+                for (let i = 0; i < arrayLength; i++) {
+                    arrInstance[i] = yield* Load.loadValueSteps(layout.item(loadKey, i), storageDest, true, context);
+                }
+                return arrInstance;
+
+            case "storageReference":
+                // For reference types, check if the pointer has been loaded. Objects are registered before their
+                // children are loaded, so only instances still being created by fromStorage aren't available yet.
+                // For those a placeholder is used and later completed.
+                const pointer = storageDest.get(layout.pointer(loadKey));
+                if (loadedReferences.has(pointer)) {
+                    const loadingInfos = loadedReferences.get(pointer);
+                    if (loadingInfos.isLoaded) {
+                        return loadingInfos.value;
+                    } else {
+                        return new PendingReference(pointer);
+                    }
+                } else {
+                    // Mark the pointer as not yet loaded.
+                    loadedReferences.set(pointer, { isLoaded: false, value: null });
+                    // Objects in the shared area were written with their own dictionary version.
+                    const shared = layout === pathLayout && typeof pointer === "string" && isSharedKey(pointer);
+                    const pointerContext = shared ? { ...context, dictionary: rootDictionary(layout, pointer, storageDest) } : context;
+                    const loadedObj = yield* this.loadValueSteps(pointer, storageDest, true, pointerContext);
+                    loadedReferences.set(pointer, { isLoaded: true, value: loadedObj });
+                    if (shared && !context.raw) rememberIdentity(loadedObj, storageDest, pointer.slice(pathLayout.shared("").length));
+                    // Walking a lazy object would load all of it.
+                    if (!context.lazy) this.completeMissingProperties(loadedObj, null, null, loadedReferences);
+                    return loadedObj;
+                }
+
+            case "Set": {
+                const size = storageDest.get(layout.size(loadKey));
+                const result = new Set();
+                loadedReferences.set(loadKey, { isLoaded: true, value: result });
+                // Load each element by index and add to the Set.
+                for (let i = 0; i < size; i++) {
+                    const item = yield* Load.loadValueSteps(
+                        layout.setItem(loadKey, i),
+                        storageDest,
+                        true,
+                        context
+                    );
+                    result.add(item);
+                }
+                return result;
+            }
+
+            case "Map": {
+                const size = storageDest.get(layout.size(loadKey));
+                if (context.lazy) {
+                    const result = new LazyMap(
+                        size ?? 0,
+                        i => Load.loadValue(layout.mapKey(loadKey, i), storageDest, true, context),
+                        (i, lazy) => Load.loadValue(layout.mapValue(loadKey, i), storageDest, true, lazy ? context : { ...context, lazy: false })
+                    );
+                    loadedReferences.set(loadKey, { isLoaded: true, value: result });
+                    return result;
+                }
+                const result = new Map();
+                loadedReferences.set(loadKey, { isLoaded: true, value: result });
+                // Load each key/value pair by index and set in the Map.
+                for (let i = 0; i < size; i++) {
+                    const key = yield* Load.loadValueSteps(
+                        layout.mapKey(loadKey, i),
+                        storageDest,
+                        true,
+                        context
+                    );
+                    const value = yield* Load.loadValueSteps(
+                        layout.mapValue(loadKey, i),
+                        storageDest,
+                        true,
+                        context
+                    );
+                    result.set(key, value);
+                }
+                return result;
+            }
+            case "Blob": {
+                const json = readValue(storageDest, layout.blob(loadKey), layout);
+                if (typeof json !== "string") {
+                    console.error("Missing blob data. " + JSON.stringify({ loadKey }));
+                    return undefined;
+                }
+                return BlobSerializer.decode(JSON.parse(json), context.raw, true, context.validation, context.dictionary, loadKey);
+            }
+
+            case "Encrypted":
+                return decryptOrReport(readValue(storageDest, loadKey, layout), context.raw, context.validation, loadKey, fieldLocation(loadKey));
+
+            default: {
+                const fromStorage = context.raw ? undefined : registeredClasses.get(type)?.fromStorage;
+                if (fromStorage) loadedReferences.set(loadKey, { isLoaded: false, value: null });
+                // Fallback to the default load mechanism, disabling custom load to avoid infinite loops.
+                const loaded = yield* this.loadValueSteps(loadKey, storageDest, false, context);
+                if (!fromStorage || loaded == null) return loaded;
+                // Classes with their own serialization are created from the data returned by toStorage.
+                const instance = fromStorage(loaded.data);
+                loadedReferences.set(loadKey, { isLoaded: true, value: instance });
+                this.completeMissingProperties(instance, null, null, loadedReferences);
+                runHook(instance, "onAfterLoad");
+                return instance;
+            }
+        }
+    }
+
+    /**
+     * Creates a new instance of a class based on the given type,
+     * using the KlassenRegistry. The type must already be registered.
+     *
+     * @param {string} type - The type identifier (e.g. "MissileLauncher").
+     * @returns {*} A new instance of the corresponding class.
+     */
+    static createInstance(type) {
+        return new KlassenRegistry[type]();
+    }
+
+    /**
+     * Turns plain data (as loaded with `context.raw` or produced by migrations) into instances:
+     * every object whose `type` is registered in `KlassenRegistry` is replaced by an instance of
+     * that class carrying the same fields. Shared and cyclic references are preserved.
+     *
+     * @param {*} value - The plain data.
+     * @param {Map} [converted=new Map()] - Already converted objects, used internally.
+     * @param {{rootKey: string, issues: object[]}} [validation] - Collects validation issues of the
+     *        converted objects, see `applySchema()`.
+     * @returns {*} The data with registered classes instantiated.
+     */
+    static hydrate(value, converted = new Map(), validation = null) {
+        const isRoot = converted.size === 0;
+        const loaded = this.hydrateValue(value, converted);
+        // Hooks run once the whole graph is connected and validated.
+        if (isRoot) {
+            for (const instance of new Set(converted.values())) {
+                if (instance && typeof instance === "object" && !(instance instanceof Map || instance instanceof Set || Array.isArray(instance))) {
+                    validateLoaded(instance, Save.getType(instance), validation, validation?.rootKey);
+                }
+            }
+            for (const instance of new Set(converted.values())) {
+                if (instance && typeof instance === "object" && registeredClasses.has(Save.getType(instance))) {
+                    runHook(instance, "onAfterLoad");
+                }
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * Converts a single value for `hydrate()`.
+     */
+    static hydrateValue(value, converted) {
+        if (value === null || typeof value !== "object" || isSpecialObject(value)) return value;
+        if (converted.has(value)) return converted.get(value);
+
+        if (Array.isArray(value)) {
+            converted.set(value, value);
+            value.forEach((item, index) => { value[index] = this.hydrateValue(item, converted); });
+            return value;
+        }
+        if (value instanceof Map) {
+            converted.set(value, value);
+            const entries = [...value];
+            value.clear();
+            for (const [key, item] of entries) value.set(this.hydrateValue(key, converted), this.hydrateValue(item, converted));
+            return value;
+        }
+        if (value instanceof Set) {
+            converted.set(value, value);
+            const items = [...value];
+            value.clear();
+            for (const item of items) value.add(this.hydrateValue(item, converted));
+            return value;
+        }
+
+        const fromStorage = registeredClasses.get(value.type)?.fromStorage;
+        if (fromStorage) {
+            const instance = fromStorage(this.hydrateValue(value.data, converted));
+            converted.set(value, instance);
+            return instance;
+        }
+
+        const isRegistered = isClassName(value.type) && !typesWithCostumizedStorageSystem.has(value.type);
+        const instance = isRegistered ? this.createInstance(value.type) : value;
+        converted.set(value, instance);
+        for (const key of Object.keys(value)) {
+            assignField(instance, key, this.hydrateValue(value[key], converted));
+        }
+        return instance;
+    }
+
+    /**
+     * Recursively completes missing properties for objects that were partially loaded
+     * due to circular references. If an object is a placeholder (a `PendingReference`),
+     * it is replaced by the fully loaded object. This ensures that all mutually referencing
+     * objects are properly linked in the final reconstructed instance.
+     *
+     * @param {*} instance - The object to complete.
+     * @param {*} [parent=null] - (Optional) The parent object that holds the current instance.
+     * @param {string} [prop=null] - (Optional) The property name in the parent where the instance is stored.
+     * @param {Map<string, {isLoaded: boolean, value: *}>} [loadedReferences=new Map()] - The loaded references of the session.
+     * @param {Set<object>} [visited=new Set()] - Objects already completed, used internally to stop at cycles.
+     */
+    static completeMissingProperties(instance, parent = null, prop = null, loadedReferences = new Map(), visited = new Set()) {
+        if (
+            typeof instance === "number" ||
+            typeof instance === "boolean" ||
+            typeof instance === "string" ||
+            instance == null
+        ) return;
+        if (visited.has(instance)) return;
+        visited.add(instance);
+        const keys = Save.getKeys(instance, false);
+        if (keys.length <= 0) return;
+        if (instance instanceof PendingReference && loadedReferences.get(instance.pointer)?.isLoaded) {
+            if (parent != null) parent[prop] = loadedReferences.get(instance.pointer).value;
+            return;
+        }
+        for (let key of keys) {
+            this.completeMissingProperties(instance[key], instance, key, loadedReferences, visited);
+        }
+    }
+}
+
+
+/**
+ * Class responsible for deleting instances from the dynamic property storage.
+ * Main entry point is the static method `deleteInstance()`.
+ */
+export class Delete {
+    /**
+     * Recursively removes everything stored under a key: the value itself, its keys list,
+     * all fields, array indices, Set and Map entries, chunks and reference targets that were
+     * created under this key.
+     *
+     * @param {string} deleteKey - The base key of the instance to delete.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @returns {number} The number of removed properties.
      */
-    static costumizedSave(instance, saveKey, storageDest) {
-        switch (instance.type) {
-            case "Array":
-                // For arrays, store 'length' and 'type' as properties, then individually save items.
-                try {
-                    const keysToSave = ["length", "type"];
-                    storageDest.setDynamicProperty(
-                        `${saveKey}keys`,
-                        keysToSave.map(k => abbreviationsMap.has(k) ? abbreviationsMap.get(k) : k).join(",")
-                    );
-                } catch (error) {
-                    console.error(
-                        "Failed to save array properties. " +
-                        JSON.stringify({ saveKey })
-                    );
+    static deleteInstance(deleteKey, storageDest = getDefaultStorage()) {
+        storageDest = resolveBackend(storageDest);
+        recoverRoot(deleteKey, storageDest);
+        const keys = new Set(this.collectKeys(deleteKey, storageDest));
+        const rootKey = pathLayout.root(deleteKey);
+        if (storageDest.get(pathLayout.head(rootKey)) !== undefined) {
+            for (const key of otherGenerationKeys(rootKey, undefined, storageDest)) keys.add(key);
+        }
+        for (const key of [pathLayout.head(rootKey), pathLayout.journal(rootKey)]) {
+            if (storageDest.get(key) !== undefined) keys.add(key);
+        }
+        for (const key of keys) {
+            storageDest.delete(key);
+        }
+        return keys.size;
+    }
+
+    /**
+     * Collects all storage keys that belong to the instance stored under a key, following the
+     * stored keys lists, container sizes and reference pointers. Only keys that currently hold
+     * a value are returned.
+     *
+     * @param {string} loadKey - The base key of the instance.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @returns {string[]} The keys in use.
+     */
+    static collectKeys(loadKey, storageDest) {
+        return runSteps(this.collectKeysSteps(loadKey, storageDest));
+    }
+
+    /**
+     * Generator behind `collectKeys()`, yields once per node.
+     */
+    static *collectKeysSteps(loadKey, storageDest) {
+        const { layout, key } = resolveRoot(loadKey, storageDest);
+        return yield* this.collectRootKeysSteps(key, layout, storageDest);
+    }
+
+    /**
+     * Collects the keys of a stored root node, see `collectKeys()`.
+     *
+     * @param {string} key - The stored key of the root node.
+     * @param {object} layout - The layout the root was stored in.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @returns {string[]} The keys in use.
+     */
+    static collectRootKeys(key, layout, storageDest) {
+        return runSteps(this.collectRootKeysSteps(key, layout, storageDest));
+    }
+
+    /**
+     * Generator behind `collectRootKeys()`, yields once per node.
+     */
+    static *collectRootKeysSteps(key, layout, storageDest) {
+        const found = new Set();
+        this.collectValueKeys(layout.version(key), storageDest, found, layout);
+        this.collectValueKeys(layout.formatKey(key), storageDest, found, layout);
+        if (layout.dictionaryVersion) this.collectValueKeys(layout.dictionaryVersion(key), storageDest, found, layout);
+        if (layout.integrity) this.collectValueKeys(layout.integrity(key), storageDest, found, layout);
+        yield* this.collectNodeKeysSteps(key, storageDest, found, new Set(), layout);
+        return [...found];
+    }
+
+    /**
+     * Adds the keys of a single node and its children to `found`.
+     */
+    static collectNodeKeys(loadKey, storageDest, found, visitedPointers, layout = pathLayout) {
+        runSteps(this.collectNodeKeysSteps(loadKey, storageDest, found, visitedPointers, layout));
+    }
+
+    /**
+     * Generator behind `collectNodeKeys()`, yields once per node.
+     */
+    static *collectNodeKeysSteps(loadKey, storageDest, found, visitedPointers, layout = pathLayout) {
+        yield;
+        const node = this.describeNode(loadKey, storageDest, layout);
+        for (const key of node.ownKeys) this.collectValueKeys(key, storageDest, found, layout);
+        for (const child of node.children) yield* this.collectNodeKeysSteps(child.key, storageDest, found, visitedPointers, layout);
+        // Only follow pointers created below this key, other references may still be in use.
+        const pointer = node.pointer;
+        if (typeof pointer === "string" && layout.contains(loadKey, pointer) && !visitedPointers.has(pointer)) {
+            visitedPointers.add(pointer);
+            yield* this.collectNodeKeysSteps(pointer, storageDest, found, visitedPointers, layout);
+        }
+    }
+
+    /**
+     * Describes a single stored node without following its children.
+     *
+     * @param {string} loadKey - The stored key of the node.
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {object} [layout=pathLayout] - The layout the node was stored in.
+     * @returns {{type: *, ownKeys: string[], children: Array<{name: string, key: string}>, pointer: *}}
+     *          The stored type, the keys of the node's own value and metadata (chunks aren't listed),
+     *          its child nodes and, for references, the pointer.
+     */
+    static describeNode(loadKey, storageDest, layout = pathLayout) {
+        const type = storageDest.get(layout.type(loadKey));
+        const node = { type, ownKeys: [loadKey, layout.keys(loadKey)], children: [], pointer: undefined };
+        if (type !== undefined) node.ownKeys.push(layout.type(loadKey));
+        if (specialValueTypes.has(type)) return node;
+        switch (type) {
+            case "Blob":
+                node.ownKeys.push(layout.blob(loadKey));
+                return node;
+            case "Set":
+            case "Map": {
+                node.ownKeys.push(layout.size(loadKey));
+                const size = storageDest.get(layout.size(loadKey)) ?? 0;
+                for (let i = 0; i < size; i++) {
+                    if (type === "Set") {
+                        node.children.push({ name: String(i), key: layout.setItem(loadKey, i) });
+                    } else {
+                        node.children.push({ name: `k${i}`, key: layout.mapKey(loadKey, i) });
+                        node.children.push({ name: `v${i}`, key: layout.mapValue(loadKey, i) });
+                    }
                 }
-                // Recursively save each element of the array.
-                const arrKeys = this.getKeys(instance);
-                for (const key of arrKeys) {
-                    const prop = instance[key];
-                    const saveKeyAbbreviated = abbreviationsMap.get(key) ?? key;
-                    Save.saveInstance(prop, `${saveKey}${saveKeyAbbreviated}`, storageDest);
+                return node;
+            }
+            case "Array": {
+                node.ownKeys.push(layout.length(loadKey));
+                const length = storageDest.get(layout.length(loadKey)) ?? 0;
+                for (let i = 0; i < length; i++) {
+                    node.children.push({ name: String(i), key: layout.item(loadKey, i) });
                 }
-                break;
-            case "Set":
-                try {
-                    // Store the type and size of the Set.
-                    storageDest.setDynamicProperty(`${saveKey}type`, "Set");
-                    storageDest.setDynamicProperty(`${saveKey}size`, instance.size);
+                return node;
+            }
+            case "storageReference":
+                node.ownKeys.push(layout.pointer(loadKey));
+                node.pointer = storageDest.get(layout.pointer(loadKey));
+                return node;
+        }
 
-                    // Store each element under a sequential key.
-                    let idx = 0;
-                    for (const item of instance) {
-                        Save.saveInstance(
-                            item,
-                            `${saveKey}item${idx}`,
-                            storageDest
-                        );
-                        idx++;
+        const keys = readValue(storageDest, layout.keys(loadKey), layout);
+        if (typeof keys !== "string") return node;
+        const routes = typeof type === "string" && layout === pathLayout ? readRoutes(loadKey, storageDest) : null;
+        if (routes) {
+            node.ownKeys.push(layout.routes(loadKey));
+            for (const route of Object.values(routes)) node.ownKeys.push(routeKey(route, loadKey));
+        }
+        for (const name of layout.splitKeys(keys)) {
+            const key = layout.field(loadKey, name);
+            // The legacy layout stored the type as a regular field.
+            if (!node.ownKeys.includes(key)) node.children.push({ name, key });
+        }
+        return node;
+    }
+
+    /**
+     * Adds a value key and, for chunked strings, its continuation keys to `found`.
+     */
+    static collectValueKeys(key, storageDest, found, layout = pathLayout) {
+        if (storageDest.get(key) !== undefined) found.add(key);
+        const count = storageDest.get(layout.chunkCount(key));
+        if (typeof count !== "number") return;
+        found.add(layout.chunkCount(key));
+        for (let i = 0; i < count; i++) {
+            if (storageDest.get(layout.chunk(key, i)) !== undefined) found.add(layout.chunk(key, i));
+        }
+    }
+}
+
+/**
+ * Read-only views of what the Data Storage System has stored, and a mark-and-sweep collector
+ * for keys that no stored root reaches anymore.
+ *
+ * Roots are found through their format marker (`<root>:f`) or commit head (`<root>:h`). Roots
+ * saved by older versions have neither and have to be passed in `options.legacyRoots`.
+ */
+export class StorageInspector {
+    /**
+     * Returns the usage of a single root as a tree that follows the stored structure. Every node
+     * lists the number of properties and estimated bytes of its whole subtree; references count
+     * their own properties only.
+     *
+     * @param {string} rootKey - The key passed to `Save`.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @returns {{key: string, type: *, properties: number, bytes: number, children: object[], pointer?: string}|null}
+     *          The usage of the root node, children additionally carry their `name`. `null` if nothing is stored.
+     */
+    static usage(rootKey, storageDest = getDefaultStorage()) {
+        storageDest = resolveBackend(storageDest);
+        const { layout, key } = resolveRoot(rootKey, storageDest);
+        const usage = this.nodeUsage(key, storageDest, layout);
+        const found = new Set();
+        for (const metaKey of this.rootKeys(rootKey, storageDest)) Delete.collectValueKeys(metaKey, storageDest, found, layout);
+        usage.properties += found.size;
+        usage.bytes += byteCountOf(found, storageDest);
+        return usage.properties > 0 ? usage : null;
+    }
+
+    /**
+     * Returns the usage of a node and its children, see `usage()`.
+     */
+    static nodeUsage(key, storageDest, layout) {
+        const node = Delete.describeNode(key, storageDest, layout);
+        const found = new Set();
+        for (const ownKey of node.ownKeys) Delete.collectValueKeys(ownKey, storageDest, found, layout);
+        const usage = { key, type: node.type, properties: found.size, bytes: byteCountOf(found, storageDest), children: [] };
+        if (node.pointer !== undefined) usage.pointer = node.pointer;
+        for (const child of node.children) {
+            const childUsage = this.nodeUsage(child.key, storageDest, layout);
+            usage.children.push({ name: child.name, ...childUsage });
+            usage.properties += childUsage.properties;
+            usage.bytes += childUsage.bytes;
+        }
+        return usage;
+    }
+
+    /**
+     * Summarizes the storage of a backend: the totals reported by the backend
+     * (`getDynamicPropertyIds`/`getDynamicPropertyTotalByteCount` for game objects) and the
+     * usage of every root.
+     *
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Report options.
+     * @param {number} [options.budgetBytes] - The byte budget to compare against, by default the
+     *        `maxTotalBytes` of the backend if it has one.
+     * @param {string[]} [options.legacyRoots=[]] - Roots saved by older versions.
+     * @returns {{properties: number, bytes: number, budgetBytes: number|undefined, budgetUsed: number|undefined, roots: object[]}}
+     *          The totals, the used share of the budget (0 to 1) and the usage of every root with its `rootKey`.
+     */
+    static report(storageDest = getDefaultStorage(), options = {}) {
+        storageDest = resolveBackend(storageDest);
+        const bytes = storageDest.byteCount();
+        const budgetBytes = options.budgetBytes ?? storageDest.maxTotalBytes;
+        const hasBudget = Number.isFinite(budgetBytes) && budgetBytes > 0;
+        return {
+            properties: storageDest.keys().length,
+            bytes,
+            budgetBytes: hasBudget ? budgetBytes : undefined,
+            budgetUsed: hasBudget ? bytes / budgetBytes : undefined,
+            roots: this.findRoots(storageDest, options.legacyRoots).map(rootKey => ({
+                rootKey,
+                ...(this.usage(rootKey, storageDest) ?? { properties: 0, bytes: 0, children: [] })
+            }))
+        };
+    }
+
+    /**
+     * Deletes keys inside the namespace of a root that the root no longer reaches: fields and
+     * entries left behind by saves without `overwrite`, leftovers of interrupted atomic saves
+     * and, for legacy roots, reference targets stored under `saveKey + random string` that no
+     * reference points to anymore. Keys outside the namespaces of known roots are never touched.
+     *
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Collector options.
+     * @param {boolean} [options.dryRun=false] - Only lists what would be removed.
+     * @param {string[]} [options.legacyRoots=[]] - Roots saved by older versions. Their namespace is every
+     *        key starting with the root key, so don't list roots whose key is the prefix of unrelated properties.
+     * @returns {{roots: string[], removed: string[], bytes: number, danglingReferences: string[], dryRun: boolean}}
+     *          The examined roots, the removed (or removable) keys and their estimated bytes, and
+     *          references whose target doesn't exist.
+     */
+    static collectGarbage(storageDest = getDefaultStorage(), options = {}) {
+        storageDest = resolveBackend(storageDest);
+        const dryRun = options.dryRun === true;
+        const legacyRoots = new Set(options.legacyRoots ?? []);
+        const roots = this.findRoots(storageDest, [...legacyRoots]);
+        if (!dryRun) {
+            for (const rootKey of roots) recoverRoot(rootKey, storageDest);
+        }
+
+        // Mark
+        const marked = new Set();
+        const danglingReferences = [];
+        for (const rootKey of roots) this.markRoot(rootKey, storageDest, marked, danglingReferences);
+
+        // Sweep, skipping roots whose pending generation is still being written and the shared area
+        // while a save may be writing objects there that its root doesn't reach yet.
+        const active = activeAtomicSaves.get(baseBackend(storageDest));
+        const sweptRoots = roots.filter(rootKey => !active?.has(pathLayout.root(rootKey)));
+        const sweepShared = !(activeSharedSaves.get(baseBackend(storageDest)) > 0);
+        const removed = storageDest.keys().filter(key => !marked.has(key) && (sweepShared && isSharedKey(key) || sweptRoots.some(rootKey => {
+            const escaped = pathLayout.root(rootKey);
+            if (key === escaped || key.startsWith(`${escaped}/`) || key.startsWith(`${escaped}:`)) return true;
+            return legacyRoots.has(rootKey) && key.startsWith(rootKey);
+        })));
+        const bytes = byteCountOf(removed, storageDest);
+        if (!dryRun) {
+            for (const key of removed) storageDest.delete(key);
+        }
+        return { roots, removed, bytes, danglingReferences, dryRun };
+    }
+
+    /**
+     * Adds every key a root reaches to `marked`, following all reference pointers.
+     */
+    static markRoot(rootKey, storageDest, marked, danglingReferences) {
+        const { layout, key } = resolveRoot(rootKey, storageDest);
+        for (const metaKey of this.rootKeys(rootKey, storageDest)) Delete.collectValueKeys(metaKey, storageDest, marked, layout);
+        const visited = new Set();
+        const pending = [key];
+        while (pending.length > 0) {
+            const nodeKey = pending.pop();
+            if (visited.has(nodeKey)) continue;
+            visited.add(nodeKey);
+            const node = Delete.describeNode(nodeKey, storageDest, layout);
+            for (const ownKey of node.ownKeys) Delete.collectValueKeys(ownKey, storageDest, marked, layout);
+            for (const child of node.children) pending.push(child.key);
+            if (typeof node.pointer !== "string") continue;
+            if (layout === pathLayout && isSharedKey(node.pointer)) {
+                Delete.collectValueKeys(pathLayout.dictionaryVersion(node.pointer), storageDest, marked, layout);
+            }
+            const found = new Set();
+            Delete.collectNodeKeys(node.pointer, storageDest, found, new Set(), layout);
+            if (found.size === 0) danglingReferences.push(nodeKey);
+            pending.push(node.pointer);
+        }
+    }
+
+    /**
+     * Returns the keys that belong to a root but not to its root node: schema version, format,
+     * dictionary version, commit head and journal.
+     */
+    static rootKeys(rootKey, storageDest) {
+        const { layout, key } = resolveRoot(rootKey, storageDest);
+        const escaped = pathLayout.root(rootKey);
+        const keys = [layout.version(key), layout.formatKey(key), pathLayout.head(escaped), pathLayout.journal(escaped)];
+        if (layout.dictionaryVersion) keys.push(layout.dictionaryVersion(key));
+        if (layout.integrity) keys.push(layout.integrity(key));
+        return keys;
+    }
+
+    /**
+     * Returns the keys of all roots stored in a backend.
+     *
+     * @param {import('./StorageBackends.js').StorageBackend} storageDest - The storage backend.
+     * @param {string[]} [legacyRoots=[]] - Roots saved by older versions, which can't be found by their keys.
+     * @returns {string[]} The root keys as passed to `Save`.
+     */
+    static findRoots(storageDest, legacyRoots = []) {
+        const roots = new Set();
+        for (const key of storageDest.keys()) {
+            const match = /^([^/:]*):[fh]$/.exec(key);
+            if (match) roots.add(unescapeKeySegment(match[1]));
+        }
+        for (const rootKey of legacyRoots) roots.add(rootKey);
+        return [...roots];
+    }
+}
+
+/**
+ * Sums the estimated bytes of stored keys and their values.
+ */
+function byteCountOf(keys, storageDest) {
+    let bytes = 0;
+    for (const key of keys) {
+        const value = storageDest.get(key);
+        if (value !== undefined) bytes += estimateByteCount(key, value);
+    }
+    return bytes;
+}
+
+/**
+ * Proxies created by `TrackedRoot`, mapped to the objects they wrap.
+ */
+const proxyTargets = new WeakMap();
+
+/**
+ * Method names that change a Date, typed array or buffer in place.
+ */
+const mutatingValueMethods = /^(set|fill|copyWithin|reverse|sort)/;
+
+/**
+ * Whether a value is stored as its own node (with fields or entries) rather than as a value.
+ */
+function isNode(value) {
+    return value !== null && typeof value === "object" && !encodeSpecialValue(value);
+}
+
+/**
+ * A root whose changes are recorded, so that `flush()` only writes what changed since the
+ * last save instead of the whole graph.
+ *
+ * `value` returns the root wrapped in a Proxy. Every object reached through it is wrapped as
+ * well, so assignments, `delete`, array index and length changes, `Map.set/delete/clear` and
+ * `Set.add/delete/clear` are recorded without any cooperation of the classes involved: methods
+ * of `KlassenRegistry` classes run with the proxy as `this`. Changes made through references
+ * obtained before tracking started (or inside objects owned by a class with `toStorage`) are
+ * not seen.
+ *
+ * Tracked roots are saved with `trackAllReferences`, every object has exactly one stored node.
+ * `flush()` rewrites changed fields of objects and arrays one by one, and Maps, Sets and classes
+ * with `toStorage` as a whole. If a change would remove the node of an object that is still
+ * referenced elsewhere, it falls back to a full save with `overwrite`.
+ *
+ * An encrypted field is one stored value: any change inside it rewrites the whole field. The
+ * checksum or MAC of the root is computed again after every flush.
+ */
+export class TrackedRoot {
+    /**
+     * Starts tracking an instance. Nothing is written until `flush()` is called, which saves
+     * the instance completely the first time.
+     *
+     * @param {*} instance - The root object.
+     * @param {string} saveKey - The key under which the root is stored.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Save options.
+     * @param {string} [options.integrity] - Protects the root with a checksum or MAC, see `Save.saveInstance()`.
+     */
+    constructor(instance, saveKey, storageDest = getDefaultStorage(), options = {}) {
+        this.target = proxyTargets.get(instance) ?? instance;
+        this.saveKey = saveKey;
+        this.storageDest = resolveBackend(storageDest);
+        this.isBlob = false;
+        this.needsFullSave = true;
+        this.integrity = options.integrity;
+
+        /**
+         * Stored key of every tracked object. Used as the references of the saves of `flush()`,
+         * so that unchanged objects are written as references.
+         */
+        this.paths = new Map();
+
+        /**
+         * Changed objects and the names of their changed properties.
+         */
+        this.dirty = new Map();
+        this.proxies = new WeakMap();
+        this.encryptedProxies = new WeakMap();
+
+        /**
+         * Abbreviation dictionary of the stored root, read before each incremental flush.
+         */
+        this.dictionary = null;
+    }
+
+    /**
+     * Loads a root and starts tracking it.
+     *
+     * @param {string} loadKey - The key under which the root was stored.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Load options, see `Load.loadInstance()`.
+     * @returns {TrackedRoot} The tracked root.
+     */
+    static load(loadKey, storageDest = getDefaultStorage(), options = {}) {
+        storageDest = resolveBackend(storageDest);
+        const session = new StorageSession();
+        const report = options.report ?? {};
+        const instance = Load.loadInstance(loadKey, storageDest, { ...options, session, report });
+        const root = new TrackedRoot(instance, loadKey, storageDest);
+        const { layout, key } = resolveRoot(loadKey, storageDest);
+        root.isBlob = storageDest.get(layout.type(key)) === "Blob";
+        // The root keeps the protection it was stored with.
+        const integrity = layout.integrity ? readValue(storageDest, layout.integrity(key), layout) : undefined;
+        if (typeof integrity === "string") root.integrity = integrity.slice(0, integrity.indexOf(":"));
+        // Migrated or old-layout data is written completely once, afterwards only changes.
+        root.needsFullSave = layout !== pathLayout || report.migrations.length > 0;
+        for (const [path, { isLoaded, value }] of session.loadedReferencesFor(storageDest)) {
+            if (isLoaded && isNode(value) && !root.paths.has(value)) root.paths.set(value, path);
+        }
+        return root;
+    }
+
+    /**
+     * Saves an instance completely and starts tracking it.
+     *
+     * @param {*} instance - The root object.
+     * @param {string} saveKey - The key under which the root is stored.
+     * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+     * @param {object} [options={}] - Save options, see the constructor.
+     * @returns {TrackedRoot} The tracked root.
+     */
+    static track(instance, saveKey, storageDest = getDefaultStorage(), options = {}) {
+        const root = new TrackedRoot(instance, saveKey, storageDest, options);
+        root.flush();
+        return root;
+    }
+
+    /**
+     * The tracked root. Make all changes through this value.
+     */
+    get value() {
+        return this.wrap(this.target, null, null);
+    }
+
+    /**
+     * Replaces the root, the next `flush()` saves it completely.
+     */
+    set value(instance) {
+        this.target = proxyTargets.get(instance) ?? instance;
+        this.needsFullSave = true;
+    }
+
+    /**
+     * @returns {boolean} Whether there are changes that haven't been flushed.
+     */
+    isDirty() {
+        return this.needsFullSave || this.dirty.size > 0;
+    }
+
+    /**
+     * Writes all recorded changes and deletes the keys of removed fields, items and entries.
+     * A root with `integrity` is hashed again as a whole afterwards, so every flush reads all of
+     * its stored properties: the cost of a flush grows with the size of the root, not only with
+     * the number of changes.
+     *
+     * @returns {number} The number of written and deleted properties.
+     */
+    flush() {
+        if (!this.isDirty()) return 0;
+        const fullSave = this.needsFullSave || this.isBlob || !isNode(this.target);
+        // Hooks may change the instance, so they run through the proxy before the changes are collected.
+        // A full save runs the hooks itself, except for those that already ran if planning falls back to it.
+        const hooksRun = new Set();
+        for (const target of fullSave ? [] : [...this.dirty.keys()]) {
+            if (this.isWhole(target) || !registeredClasses.has(Save.getType(target))) continue;
+            hooksRun.add(target);
+            runHook(this.wrap(target, null, null), "onBeforeSave");
+        }
+
+        const graph = this.collectGraph();
+        for (const object of this.paths.keys()) {
+            if (!graph.has(object)) this.paths.delete(object);
+        }
+        let changes = 0;
+        if (fullSave) {
+            changes = this.saveFully();
+        } else {
+            const operations = this.planOperations(graph);
+            changes = operations ? this.applyOperations(operations) : this.saveFully(hooksRun);
+        }
+        this.dirty.clear();
+        this.needsFullSave = false;
+        return changes;
+    }
+
+    /**
+     * Saves the whole root with `overwrite` and indexes the stored key of every object.
+     *
+     * @param {Set<object>} [hooksRun] - Objects whose `onBeforeSave` hook already ran for this flush.
+     * @returns {number} The number of written and deleted properties.
+     */
+    saveFully(hooksRun = new Set()) {
+        const previousKeys = Delete.collectKeys(this.saveKey, this.storageDest);
+        const recorder = new RecordingBackend(this.storageDest);
+        const options = { overwrite: true, trackAllReferences: true, integrity: this.integrity };
+        if (this.isBlob) {
+            Save.saveBlob(this.target, this.saveKey, recorder, options);
+        } else {
+            const context = Save.createContext(options, updateDictionary(this.target, recorder));
+            this.paths = new Map();
+            context.references = this.paths;
+            context.hooksRun = hooksRun;
+            runSteps(Save.writeInstanceSteps(this.target, this.saveKey, recorder, options, context));
+        }
+        const deleted = previousKeys.filter(key => this.storageDest.get(key) === undefined).length;
+        return recorder.writtenKeys.size + deleted;
+    }
+
+    /**
+     * Turns the recorded changes into write operations. Returns `null` if a change can't be
+     * written on its own because it would remove the node of an object that is still in use.
+     *
+     * @param {Map<object, Set<object>>} graph - The reachable objects and their parents.
+     * @returns {Array<object>|null} The operations.
+     */
+    planOperations(graph) {
+        this.dictionary = rootDictionary(pathLayout, this.paths.get(this.target), this.storageDest);
+        const stored = [...graph.keys()].filter(object => this.paths.has(object)).map(object => [object, this.paths.get(object)]);
+        const isInUse = path => stored.some(([, objectPath]) => pathLayout.contains(path, objectPath));
+        const operations = [];
+
+        for (const [target, properties] of this.dirty) {
+            const path = this.paths.get(target);
+            // New objects are written completely together with the field that references them.
+            if (!graph.has(target) || path === undefined) continue;
+
+            if (this.isWhole(target)) {
+                // Objects inside the node are stored again at new keys, which breaks references from outside.
+                for (const [object, objectPath] of stored) {
+                    if (object === target || !pathLayout.contains(path, objectPath)) continue;
+                    for (const parent of graph.get(object)) {
+                        const parentPath = this.paths.get(parent);
+                        if (parentPath === undefined || !pathLayout.contains(path, parentPath)) return null;
                     }
-                } catch (error) {
-                    console.error(
-                        "Failed to save Set property. " +
-                        JSON.stringify({  saveKey })
-                    );
                 }
-                break;
-            case "Map":
-                try {
-                    // Store the type and size of the Map.
-                    storageDest.setDynamicProperty(`${saveKey}type`, "Map");
-                    storageDest.setDynamicProperty(`${saveKey}size`, instance.size);
-                    // Store each entry as separate key/value pairs.
-                    let idx = 0;
-                    for (const [key, value] of instance) {
-                        Save.saveInstance(
-                            key,
-                            `${saveKey}key${idx}`,
-                            storageDest
-                        );
-                        Save.saveInstance(
-                            value,
-                            `${saveKey}value${idx}`,
-                            storageDest
-                        );
-                        idx++;
-                    }
-                } catch (error) {
-                    console.error(
-                        "Failed to save Map property. " +
-                        JSON.stringify({ saveKey })
-                    );
+                operations.push({ target, path, whole: true });
+                continue;
+            }
+
+            const fields = [];
+            const isArray = Array.isArray(target);
+            const storedLength = isArray ? this.storageDest.get(pathLayout.length(path)) ?? 0 : 0;
+            const changed = new Set(properties);
+            for (let i = target.length; isArray && i < storedLength; i++) changed.add(String(i));
+            for (const property of changed) {
+                // A class tag is stored as the type tag of the node, not as a field.
+                if (!isArray && property === "type" && target.type !== undefined && target.type === Save.getType(target)) continue;
+                const key = isArray ? this.itemKey(target, path, property) : pathLayout.field(path, abbreviate(Save.getType(target), property, this.dictionary));
+                if (key === undefined) continue;
+                const value = proxyTargets.get(target[property]) ?? target[property];
+                if (this.paths.get(value) === key) continue;
+                if (isInUse(key)) return null;
+                fields.push({ property, key });
+            }
+            operations.push({ target, path, fields });
+        }
+        return operations;
+    }
+
+    /**
+     * Returns the key of an array item, or `undefined` for properties that aren't stored items.
+     */
+    itemKey(target, path, property) {
+        const index = Number(property);
+        return Number.isInteger(index) && index >= 0 && String(index) === property ? pathLayout.item(path, index) : undefined;
+    }
+
+    /**
+     * Writes the planned operations.
+     *
+     * @param {Array<object>} operations - Operations from `planOperations()`.
+     * @returns {number} The number of written and deleted properties.
+     */
+    applyOperations(operations) {
+        const storageDest = this.storageDest;
+        const context = { session: new StorageSession(), references: this.paths, trackAllReferences: true, dictionary: this.dictionary };
+        let changes = 0;
+
+        // Codes added to the dictionary since the last full save may be used now.
+        const rootKey = this.paths.get(this.target);
+        const dictionaryVersion = pathLayout.dictionaryVersion(rootKey);
+        if (this.dictionary && storageDest.get(dictionaryVersion) < this.dictionary.names.length) {
+            storageDest.set(dictionaryVersion, this.dictionary.names.length);
+            changes++;
+        }
+
+        // Writes a node again and deletes the keys it no longer uses, including a routed field it replaces.
+        const rewrite = (key, write, staleRouteKey = undefined) => {
+            const staleKeys = new Set();
+            Delete.collectNodeKeys(key, storageDest, staleKeys, new Set(), pathLayout);
+            if (staleRouteKey !== undefined && storageDest.get(staleRouteKey) !== undefined) staleKeys.add(staleRouteKey);
+            const recorder = new RecordingBackend(storageDest);
+            write(recorder);
+            for (const staleKey of staleKeys) {
+                if (recorder.writtenKeys.has(staleKey)) continue;
+                storageDest.delete(staleKey);
+                changes++;
+            }
+            changes += recorder.writtenKeys.size;
+        };
+
+        for (const { target, path, whole, fields } of operations) {
+            if (whole) {
+                for (const [object, objectPath] of [...this.paths]) {
+                    if (pathLayout.contains(path, objectPath)) this.paths.delete(object);
+                }
+                rewrite(path, recorder => Save.saveValue(target, path, recorder, true, true, context));
+                continue;
+            }
+            const type = Array.isArray(target) ? undefined : Save.getType(target);
+
+            if (Array.isArray(target)) {
+                if (storageDest.get(pathLayout.length(path)) !== target.length) {
+                    storageDest.set(pathLayout.length(path), target.length);
+                    changes++;
+                }
+            } else {
+                if (storageDest.get(pathLayout.type(path)) !== type) {
+                    storageDest.set(pathLayout.type(path), type);
+                    changes++;
+                }
+                const keys = pathLayout.joinKeys(Save.getFieldKeys(target).map(key => abbreviate(type, key, this.dictionary)));
+                if (readValue(storageDest, pathLayout.keys(path)) !== keys) {
+                    rewrite(pathLayout.keys(path), recorder => writeValue(recorder, pathLayout.keys(path), keys));
+                }
+            }
+            const stored = Array.isArray(target) ? null : new Set(Save.getFieldKeys(target));
+            const storedRoutes = stored ? readRoutes(path, storageDest) : null;
+            for (const { property, key } of fields) {
+                const isStored = stored ? stored.has(property) : Number(property) < target.length;
+                const route = stored && isStored ? fieldRoute(type, property, target[property], path) : null;
+                const storedName = abbreviate(type, property, this.dictionary);
+                const storedRoute = storedRoutes && Object.hasOwn(storedRoutes, storedName) ? routeKey(storedRoutes[storedName], path) : undefined;
+                rewrite(key, recorder => {
+                    if (route) recorder.set(route.key, route.value);
+                    else if (isStored) Save.saveField(target, property, key, recorder, context);
+                }, storedRoute);
+            }
+            if (stored && (storedRoutes || registeredClasses.get(type)?.routes)) {
+                const routes = Object.create(null);
+                for (const property of stored) {
+                    const route = fieldRoute(type, property, target[property], path);
+                    if (route) routes[abbreviate(type, property, this.dictionary)] = route.route;
                 }
-                break;
-            default:
-                // Fallback to the default save, but with custom saving disabled for this pass
-                // to avoid an infinite loop back into costumizedSave.
-                this.saveInstance(instance, saveKey, storageDest, false);
-                break;
+                if (JSON.stringify(routes) !== JSON.stringify(storedRoutes ?? {})) {
+                    rewrite(pathLayout.routes(path), recorder => Save.writeRoutes(path, routes, recorder));
+                }
+            }
         }
+        if (this.integrity) {
+            writeIntegrity(storageDest, this.saveKey, rootKey, this.integrity);
+            changes++;
+        }
+        return changes;
     }
 
     /**
-     * Retrieves property names from an instance that should be saved.
-     * Excludes any that are functions or listed in `ignoreProperties`.
+     * Collects all objects reachable from the root together with the objects referencing them.
      *
-     * @param {*} instance - The object from which to retrieve keys.
-     * @param {boolean} [filter=true] - Whether to filter out ignored properties.
-     * @returns {string[]} Array of property names to be stored.
+     * @returns {Map<object, Set<object>>} Reachable object to its parents.
      */
-    static getKeys(instance, filter = true) {
-        const allProps = Object.getOwnPropertyNames(instance);
-        if (!allProps.length) return [];
+    collectGraph() {
+        const graph = new Map();
+        const pending = [[this.target, null]];
+        while (pending.length > 0) {
+            const [value, parent] = pending.pop();
+            // Newly assigned objects may hold proxies of tracked objects.
+            const object = proxyTargets.get(value) ?? value;
+            if (!isNode(object)) continue;
+            const isKnown = graph.has(object);
+            if (!isKnown) graph.set(object, new Set());
+            if (parent) graph.get(object).add(parent);
+            if (isKnown) continue;
 
-        return allProps.reduce((acc, prop) => {
-            if ((filter && !ignoreProperties.has(prop)) && typeof instance[prop] !== 'function') {
-                acc.push(prop);
+            if (object instanceof Map) {
+                for (const [key, value] of object) pending.push([key, object], [value, object]);
+            } else if (object instanceof Set) {
+                for (const item of object) pending.push([item, object]);
+            } else if (Array.isArray(object)) {
+                for (const item of object) pending.push([item, object]);
+            } else if (!this.isWhole(object)) {
+                // Objects in encrypted fields are stored inside the encrypted value, not as nodes.
+                for (const key of Save.getFieldKeys(object)) {
+                    if (!isEncrypted(Save.getType(object), key)) pending.push([object[key], object]);
+                }
             }
-            return acc;
-        }, []);
+        }
+        return graph;
+    }
+
+    /**
+     * Whether changes of an object rewrite its whole node instead of single fields.
+     */
+    isWhole(target) {
+        return target instanceof Map || target instanceof Set || !!registeredClasses.get(Save.getType(target))?.toStorage;
+    }
+
+    /**
+     * Records a changed property of an object.
+     */
+    markDirty(target, property) {
+        const properties = getOrCreate(this.dirty, target, () => new Set());
+        if (typeof property === "string") properties.add(property);
+    }
+
+    /**
+     * Returns the proxy of a value reached through `owner[property]`. Values that are stored
+     * as a whole (vectors, Dates, typed arrays) record their changes as a change of that property.
+     */
+    wrap(value, owner, property) {
+        if (value === null || typeof value !== "object" || proxyTargets.has(value)) return value;
+        if (isNode(value)) return getOrCreate(this.proxies, value, () => this.createProxy(value));
+        if (!owner) return value;
+        const proxy = new Proxy(value, {
+            get: (target, key) => {
+                const member = Reflect.get(target, key);
+                if (typeof member !== "function") return member;
+                return (...args) => {
+                    if (typeof key === "string" && mutatingValueMethods.test(key)) this.markDirty(owner, property);
+                    return member.apply(target, args);
+                };
+            },
+            set: (target, key, newValue) => {
+                this.markDirty(owner, property);
+                return Reflect.set(target, key, newValue);
+            }
+        });
+        proxyTargets.set(proxy, value);
+        return proxy;
+    }
+
+    /**
+     * Returns the proxy of a value inside an encrypted field. The field is stored as one value,
+     * so every method call and assignment at any depth is recorded as a change of the field.
+     */
+    wrapEncrypted(value, owner, property) {
+        if (value === null || typeof value !== "object" || proxyTargets.has(value)) return value;
+        const known = this.encryptedProxies.get(value);
+        if (known) return known;
+        const proxy = new Proxy(value, {
+            get: (target, key) => {
+                const member = Reflect.get(target, key);
+                if (typeof member !== "function") return this.wrapEncrypted(member, owner, property);
+                return (...args) => {
+                    this.markDirty(owner, property);
+                    return member.apply(target, args);
+                };
+            },
+            set: (target, key, newValue) => {
+                this.markDirty(owner, property);
+                return Reflect.set(target, key, proxyTargets.get(newValue) ?? newValue);
+            },
+            deleteProperty: (target, key) => {
+                this.markDirty(owner, property);
+                return Reflect.deleteProperty(target, key);
+            }
+        });
+        proxyTargets.set(proxy, value);
+        this.encryptedProxies.set(value, proxy);
+        return proxy;
     }
 
+    /**
+     * Creates the recording proxy of an object, array, Map or Set.
+     */
+    createProxy(object) {
+        const unwrap = value => proxyTargets.get(value) ?? value;
+        let proxy;
+        if (object instanceof Map || object instanceof Set) {
+            const isMap = object instanceof Map;
+            const wrapAll = entry => entry.map(value => this.wrap(value, object, null));
+            const methods = {
+                get: key => this.wrap(object.get(unwrap(key)), object, null),
+                has: key => object.has(unwrap(key)),
+                set: (key, value) => { object.set(unwrap(key), unwrap(value)); this.markDirty(object); return proxy; },
+                add: value => { object.add(unwrap(value)); this.markDirty(object); return proxy; },
+                delete: key => { const deleted = object.delete(unwrap(key)); if (deleted) this.markDirty(object); return deleted; },
+                clear: () => { if (object.size > 0) this.markDirty(object); object.clear(); },
+                forEach: (callback, thisArg) => object.forEach((value, key) => callback.call(thisArg, this.wrap(value, object, null), this.wrap(key, object, null), proxy)),
+                keys: function* () { for (const key of object.keys()) yield wrapAll([key])[0]; },
+                values: function* () { for (const value of object.values()) yield wrapAll([value])[0]; },
+                entries: function* () { for (const entry of object.entries()) yield wrapAll(entry); }
+            };
+            methods[Symbol.iterator] = isMap ? methods.entries : methods.values;
+            proxy = new Proxy(object, {
+                get: (target, key) => {
+                    if (key === "size") return target.size;
+                    if (Object.hasOwn(methods, key)) return methods[key];
+                    const member = Reflect.get(target, key);
+                    return typeof member === "function" ? member.bind(target) : member;
+                }
+            });
+        } else {
+            const isWhole = this.isWhole(object);
+            proxy = new Proxy(object, {
+                get: (target, key, receiver) => {
+                    const value = Reflect.get(target, key, receiver);
+                    if (isWhole || typeof key !== "string") return value;
+                    return isEncrypted(Save.getType(target), key) ? this.wrapEncrypted(value, target, key) : this.wrap(value, target, key);
+                },
+                set: (target, key, value, receiver) => {
+                    this.markDirty(target, key);
+                    return Reflect.set(target, key, unwrap(value), receiver);
+                },
+                deleteProperty: (target, key) => {
+                    this.markDirty(target, key);
+                    return Reflect.deleteProperty(target, key);
+                }
+            });
+        }
+        proxyTargets.set(proxy, object);
+        return proxy;
+    }
 }
 
 /**
- * Class responsible for loading instances from the dynamic property storage.
- * Main entry point is the static method `loadInstance()`.
+ * Registered migrations, see `Migrations.register()`.
  */
-export class Load {
+const migrations = [];
+
+/**
+ * Explicitly set schema version, see `Migrations.setSchemaVersion()`.
+ */
+let explicitSchemaVersion = null;
+
+/**
+ * Registry of schema migrations for stored objects.
+ *
+ * Every root written by `Save` carries the schema version that was current at save time. When
+ * `Load.loadInstance()` finds an older version, it loads the data as plain objects (registered
+ * classes keep their `type` field but aren't instantiated), runs all migrations step by step up to
+ * the current version and instantiates the result afterwards.
+ *
+ * A migration with version `n` converts data from version `n - 1` to `n`. Within one step, type
+ * migrations run first (on every object of that type), then root migrations (on the whole root).
+ */
+export class Migrations {
     /**
-     * Recursively loads an instance from the dynamic property storage.
+     * Registers a migration.
      *
-     * @param {string} loadKey - The base key under which the instance was stored.
-     * @param {*} [storageDest=world] - The storage destination (typically `world`).
-     * @param {boolean} [costumizedSaveAllowed=true] - Used internally to avoid recursive reprocessing in custom saves.
-     * @returns {*} The reconstructed object or value.
+     * @param {object} migration - The migration.
+     * @param {number} migration.version - The version the migration upgrades to.
+     * @param {string} [migration.type] - Applies the migration to every object with this `type`.
+     * @param {string} [migration.rootKey] - Applies the migration to the root stored under this key only.
+     *        Without `type` and `rootKey`, the migration applies to every root.
+     * @param {function(*, object): *} migration.migrate - Receives the plain data (an object of
+     *        the type, or the root value) and a context `{ rootKey, version }`. It may change the data in
+     *        place or return a replacement.
+     * @param {string} [migration.name] - Name used in reports.
      */
-    static loadInstance(loadKey, storageDest = world, costumizedSaveAllowed = true) {
-        // Check if there's a type field stored (e.g. "t").
-        const instanceType = storageDest.getDynamicProperty(`${loadKey}t`);
-        let instance = false;
-
-        // If a known type is found and it requires custom loading, delegate.
-        if (instanceType && typesWithCostumizedStorageSystem.has(instanceType) && costumizedSaveAllowed) {
-            return this.costumizedLoad(instanceType, loadKey, storageDest);
+    static register({ version, type, rootKey, migrate, name }) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error("Migration version must be a positive integer. " + JSON.stringify({ version, type, rootKey }));
         }
-
-        // If there's a type stored, attempt to create an instance from the class registry.
-        if (instanceType && KlassenRegistry[instanceType]) {
-            instance = this.createInstance(instanceType);
+        if (typeof migrate !== "function") {
+            throw new Error("Migration needs a migrate function. " + JSON.stringify({ version, type, rootKey }));
         }
+        migrations.push({
+            version,
+            type,
+            rootKey,
+            migrate,
+            name: name ?? `${type ?? rootKey ?? "root"}@${version}`
+        });
+    }
 
-        // Retrieve stored keys (may be abbreviated).
-        let keys = storageDest.getDynamicProperty(`${loadKey}keys`);
-        if (keys) {
-            keys = keys.split(",");
-        }
+    /**
+     * Sets the current schema version. Without an explicit version, the highest
+     * registered migration version is used.
+     *
+     * @param {number} version - The current schema version.
+     */
+    static setSchemaVersion(version) {
+        explicitSchemaVersion = version;
+    }
 
-        // If we still don't have an instance, default to an empty object.
-        if (!instance) {
-            instance = {};
+    /**
+     * Returns the current schema version.
+     *
+     * @returns {number} The current schema version.
+     */
+    static getSchemaVersion() {
+        if (explicitSchemaVersion != null) return explicitSchemaVersion;
+        return migrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+    }
+
+    /**
+     * Removes all migrations and the explicit schema version.
+     */
+    static clear() {
+        migrations.length = 0;
+        explicitSchemaVersion = null;
+    }
+
+    /**
+     * Migrates plain data from one version to another. Can be used directly to test
+     * migrations without a storage backend.
+     *
+     * @param {*} data - The plain data of a root.
+     * @param {number} fromVersion - The version of `data`.
+     * @param {object} [options={}] - Migration options.
+     * @param {string} [options.rootKey] - The key the root is stored under, selects root migrations.
+     * @param {number} [options.toVersion=Migrations.getSchemaVersion()] - The target version.
+     * @returns {{data: *, applied: object[]}} The migrated data and the migrations that ran,
+     *          as `{ name, version, type, rootKey }` in execution order.
+     */
+    static migrate(data, fromVersion, { rootKey, toVersion = Migrations.getSchemaVersion() } = {}) {
+        const applied = [];
+        for (let version = fromVersion + 1; version <= toVersion; version++) {
+            const steps = migrations.filter(migration => migration.version === version);
+            const context = { rootKey, version };
+
+            for (const migration of steps.filter(step => step.type)) {
+                data = this.migrateType(data, migration, context);
+                applied.push({ name: migration.name, version, type: migration.type, rootKey });
+            }
+            for (const migration of steps.filter(step => !step.type && (step.rootKey == null || step.rootKey === rootKey))) {
+                data = migration.migrate(data, context) ?? data;
+                applied.push({ name: migration.name, version, type: undefined, rootKey });
+            }
         }
+        return { data, applied };
+    }
 
-        // Recursively load each stored property.
-        if (keys && keys.length > 0) {
-            // Filter out ignored properties.
-            keys = keys.filter(item => !ignoreProperties.has(item));
-            for (const key of keys) {
-                const loadedInstance = Load.loadInstance(`${loadKey}${key}`, storageDest);
-                instance[abbreviationsLoad.get(key) ?? key] = loadedInstance;
+    /**
+     * Applies a type migration to every object of its type within the data, replacing the
+     * object wherever it is referenced if the migration returns a replacement.
+     */
+    static migrateType(data, migration, context) {
+        const visited = new Map();
+        const visit = (value) => {
+            if (value === null || typeof value !== "object" || isSpecialObject(value)) return value;
+            if (visited.has(value)) return visited.get(value);
+            visited.set(value, value);
+
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => { value[index] = visit(item); });
+            } else if (value instanceof Map) {
+                const entries = [...value];
+                value.clear();
+                for (const [key, item] of entries) value.set(visit(key), visit(item));
+            } else if (value instanceof Set) {
+                const items = [...value];
+                value.clear();
+                for (const item of items) value.add(visit(item));
+            } else {
+                for (const key of Object.keys(value)) value[key] = visit(value[key]);
+            }
+
+            if (!(value instanceof Map) && !(value instanceof Set) && !Array.isArray(value) && value.type === migration.type) {
+                const replacement = migration.migrate(value, context) ?? value;
+                visited.set(value, replacement);
+                return replacement;
             }
-            return instance;
-        } else {
-            // No stored keys: it could be a primitive or direct data value.
-            const value = storageDest.getDynamicProperty(`${loadKey}`);
             return value;
-        }
+        };
+        return visit(data);
     }
+}
 
+/**
+ * Encodes complete object graphs into a single JSON document with stable object IDs.
+ *
+ * Every object is stored exactly once in the `objects` table and referenced by its index,
+ * so shared and cyclic references survive the round-trip. Document layout:
+ *
+ *     { v: 1, root: <value>, objects: [<node>, ...] }
+ *
+ * Values are JSON primitives, `{ r: id }` references into `objects` or `{ s: type, v: value }` for
+ * values that need a type tag (see `encodeSpecialValue()`). Nodes are
+ * `{ t: type, f: { field: value } }` for objects and registered classes, `{ t: type, d: value }` for
+ * classes with `toStorage`/`fromStorage`, `{ t: "Array", a: [values] }`, `{ t: "Map", e: [[key, value], ...] }`
+ * and `{ t: "Set", i: [values] }`. Field names are abbreviated like in the per-key layout.
+ */
+export class BlobSerializer {
     /**
-     * Loads instances that require a specialized loading process.
-     * Used for types specified in `typesWithCostumizedStorageSystem`.
+     * Encodes an instance into a blob document.
      *
-     * @param {string} type - The stored type identifier (e.g., "V").
-     * @param {string} loadKey - The base key from which data is loaded.
-     * @param {*} storageDest - The storage destination (usually `world`).
-     * @returns {*} The reconstructed instance.
+     * @param {*} instance - The object or value to encode.
+     * @param {boolean} [raw=false] - Encodes plain data as loaded with `context.raw`: no hooks run, objects
+     *        of classes with `toStorage` are expected as their stored `{ type, data }` wrapper.
+     * @param {boolean} [abbreviated=true] - Whether field names are abbreviated.
+     * @param {AbbreviationDictionary} [dictionary] - Abbreviates the field names, see `updateDictionary()`.
+     * @param {boolean} [encrypted=true] - Whether the fields classes encrypt are encrypted, see `encryptValue()`.
+     * @param {string} [key=""] - The stored key of the blob, encrypted fields are bound to it.
+     * @param {boolean} [deterministic=false] - Encrypts with derived nonces, so the same data encodes the same way.
+     * @returns {object} The JSON-compatible document.
      */
-    static costumizedLoad(type, loadKey, storageDest) {
-        switch (type) {
-            case "Array":
-                const arrayLength = storageDest.getDynamicProperty(`${loadKey}length`);
-                const arrInstance = [];
-                arrInstance.length = arrayLength;
-                arrInstance.fill(1, 0, arrayLength);
+    static encode(instance, raw = false, abbreviated = true, dictionary = null, encrypted = true, key = "", deterministic = false) {
+        const ids = new Map();
+        const objects = [];
 
-                let arrKeys = Save.getKeys(arrInstance);
-                arrKeys = arrKeys.filter(item => !ignoreProperties.has(item));
+        const encodeValue = (value) => {
+            if (value === null) return null;
+            const special = encodeSpecialValue(value);
+            if (special) return { s: special.type, v: special.value };
+            if (typeof value === "number" || typeof value === "boolean" || typeof value === "string") {
+                return value;
+            }
+            if (typeof value !== "object") return null;
+            if (ids.has(value)) return { r: ids.get(value) };
 
-                for (const key of arrKeys) {
-                    const loaded = Load.loadInstance(`${loadKey}${key}`, storageDest);
-                    arrInstance[abbreviationsLoad.get(key) ?? key] = loaded;
-                }
-                return arrInstance;
+            const id = objects.length;
+            ids.set(value, id);
+            objects.push(null);
 
-            case "storageReference":
-                // For reference types, check if the pointer has been loaded.
-                // If encountered during circular references, a placeholder is used and later completed.
-                const pointer = storageDest.getDynamicProperty(`${loadKey}pointer`);
-                if (loadedStorageReferences.has(pointer)) {
-                    const loadingInfos = loadedStorageReferences.get(pointer);
-                    if (loadingInfos.isLoaded) {
-                        return loadingInfos.value;
-                    } else {
-                        return { type: "storageReference", pointer };
+            const type = Save.getType(value);
+            let node;
+            switch (type) {
+                case "Array":
+                    node = { t: "Array", a: Array.from(value, item => encodeValue(item)) };
+                    break;
+                case "Map":
+                    node = { t: "Map", e: Array.from(value, ([key, item]) => [encodeValue(key), encodeValue(item)]) };
+                    break;
+                case "Set":
+                    node = { t: "Set", i: Array.from(value, item => encodeValue(item)) };
+                    break;
+                default: {
+                    const toStorage = registeredClasses.get(type)?.toStorage;
+                    if (raw && toStorage && "data" in value) {
+                        node = { t: type, d: encodeValue(value.data) ?? { s: "null" } };
+                        break;
+                    }
+                    if (!raw) runHook(value, "onBeforeSave");
+                    if (toStorage && !raw) {
+                        node = { t: type, d: encodeValue(toStorage(value)) ?? { s: "null" } };
+                        break;
+                    }
+                    node = { f: Object.create(null) };
+                    if (type) node.t = type;
+                    for (const name of Save.getFieldKeys(value)) {
+                        const field = abbreviated ? abbreviate(type, name, dictionary) : name;
+                        node.f[field] = encrypted && isEncrypted(type, name)
+                            ? { s: "Encrypted", v: encryptValue(value[name], raw, fieldLocation(key, id, field), deterministic) }
+                            : encodeValue(value[name]);
                     }
-                } else {
-                    // Mark the pointer as not yet loaded.
-                    loadedStorageReferences.set(pointer, { isLoaded: false, value: null });
-                    const loadedObj = this.loadInstance(pointer, storageDest);
-                    loadedStorageReferences.set(pointer, { isLoaded: true, value: loadedObj });
-                    this.completeMissingProperties(loadedObj);
-                    return loadedObj;
                 }
+            }
+            objects[id] = node;
+            return { r: id };
+        };
 
-            case "Set": {
-                const size = storageDest.getDynamicProperty(`${loadKey}size`);
-                const result = new Set();
-                // Load each element by index and add to the Set.
-                for (let i = 0; i < size; i++) {
-                    const item = Load.loadInstance(
-                        `${loadKey}item${i}`,
-                        storageDest
-                    );
-                    result.add(item);
+        const root = encodeValue(instance);
+        return { v: 1, root, objects };
+    }
+
+    /**
+     * Decodes a blob document created by `encode()`. Registered classes are instantiated
+     * through `KlassenRegistry`, so their prototypes and methods are restored.
+     *
+     * @param {object} document - The document to decode.
+     * @param {boolean} [raw=false] - Keeps registered classes as plain objects with their `type` field.
+     * @param {boolean} [abbreviated=true] - Whether the field names in the document are abbreviated.
+     * @param {{rootKey: string, issues: object[]}} [validation] - Collects validation issues of the
+     *        decoded objects, see `applySchema()`. Not used for raw decoding.
+     * @param {AbbreviationDictionary} [dictionary] - The dictionary the document was encoded with.
+     * @param {string} [key=""] - The stored key of the blob, as passed to `encode()`.
+     * @returns {*} The reconstructed object or value.
+     */
+    static decode(document, raw = false, abbreviated = true, validation = null, dictionary = null, key = "") {
+        const nodes = document.objects;
+        const instances = new Array(nodes.length);
+        const filled = new Array(nodes.length).fill(false);
+        const building = new Set();
+        const loaded = [];
+        const isCustom = node => !raw && node.d !== undefined && registeredClasses.get(node.t)?.fromStorage;
+
+        // Create every object up front, so that references can be resolved in any order.
+        // Classes with fromStorage are built on first use, once their data is complete.
+        nodes.forEach((node, id) => {
+            if (isCustom(node)) return;
+            switch (node.t) {
+                case "Array":
+                    instances[id] = [];
+                    break;
+                case "Map":
+                    instances[id] = new Map();
+                    break;
+                case "Set":
+                    instances[id] = new Set();
+                    break;
+                default: {
+                    const isRegistered = isClassName(node.t) && node.d === undefined && !raw;
+                    const instance = isRegistered ? Load.createInstance(node.t) : {};
+                    if (node.t) instance.type = node.t;
+                    if (node.t && !isClassName(node.t)) loadedClassTags.set(instance, node.t);
+                    instances[id] = instance;
+                    if (isRegistered) loaded.push(instance);
                 }
-                return result;
             }
+        });
 
-            case "Map": {
-                const size = storageDest.getDynamicProperty(`${loadKey}size`);
-                const result = new Map();
-                // Load each key/value pair by index and set in the Map.
-                for (let i = 0; i < size; i++) {
-                    const key = Load.loadInstance(
-                        `${loadKey}key${i}`,
-                        storageDest
-                    );
-                    const value = Load.loadInstance(
-                        `${loadKey}value${i}`,
-                        storageDest
-                    );
-                    result.set(key, value);
-                }
-                return result;
+        const decodeValue = (value, location) => {
+            if (value === null || typeof value !== "object") return value;
+            if (value.s === "Encrypted") return decryptOrReport(value.v, raw, validation, validation?.rootKey, location);
+            if (value.s !== undefined) return decodeSpecialValue(value.s, value.v);
+            if (instances[value.r] === undefined) build(value.r);
+            return instances[value.r];
+        };
+
+        const build = (id) => {
+            const node = nodes[id];
+            if (building.has(id)) {
+                console.error("Cyclic reference through a class with fromStorage can't be restored. " + JSON.stringify({ type: node.t }));
+                return;
             }
-            default:
-                // Fallback to the default load mechanism, disabling custom load to avoid infinite loops.
-                return this.loadInstance(loadKey, storageDest, false);
+            building.add(id);
+            fillDeep(node.d);
+            instances[id] = registeredClasses.get(node.t).fromStorage(decodeValue(node.d));
+            building.delete(id);
+            loaded.push(instances[id]);
+        };
+
+        const fill = (id) => {
+            filled[id] = true;
+            const node = nodes[id];
+            const instance = instances[id];
+            switch (node.t) {
+                case "Array":
+                    node.a.forEach((item, index) => { instance[index] = decodeValue(item); });
+                    break;
+                case "Map":
+                    for (const [key, item] of node.e) instance.set(decodeValue(key), decodeValue(item));
+                    break;
+                case "Set":
+                    for (const item of node.i) instance.add(decodeValue(item));
+                    break;
+                default:
+                    if (node.d !== undefined) {
+                        instance.data = decodeValue(node.d);
+                        break;
+                    }
+                    for (const [field, item] of Object.entries(node.f)) {
+                        const name = abbreviated ? expand(node.t, field, dictionary) : field;
+                        if (isIgnored(node.t, name)) continue;
+                        assignField(instance, name, decodeValue(item, fieldLocation(key, id, field)));
+                    }
+            }
+        };
+
+        // Completes every object reachable from a value, used before data is handed to fromStorage.
+        const fillDeep = (value) => {
+            if (value === null || typeof value !== "object" || value.r === undefined) return;
+            const node = nodes[value.r];
+            if (isCustom(node) || filled[value.r]) return;
+            fill(value.r);
+            const children = node.a ?? node.i ?? (node.e ? node.e.flat() : null) ?? (node.d !== undefined ? [node.d] : Object.values(node.f));
+            for (const child of children) fillDeep(child);
+        };
+
+        nodes.forEach((node, id) => {
+            if (!isCustom(node) && !filled[id]) fill(id);
+        });
+        const root = decodeValue(document.root);
+
+        // Hooks run once the whole graph is connected and validated.
+        if (!raw) {
+            nodes.forEach((node, id) => {
+                if (!isCustom(node) && !(instances[id] instanceof Map || instances[id] instanceof Set || Array.isArray(instances[id]))) {
+                    validateLoaded(instances[id], node.t, validation, validation?.rootKey);
+                }
+            });
         }
+        for (const instance of loaded) runHook(instance, "onAfterLoad");
+        return root;
     }
+}
+
+/**
+ * Format identifier and version of documents created by `exportRoot()`.
+ */
+const exportFormat = "DataStorageSystem/export";
+const exportVersion = 1;
+
+/**
+ * Layouts a root can be stored in: one dynamic property per value or a single blob.
+ */
+const exportLayouts = new Set(["keys", "blob"]);
 
+/**
+ * Error thrown when data doesn't have the expected format: a document passed to `importRoot()`
+ * that is not a valid export, a strict load of data that doesn't match its class schemas or
+ * fails its integrity check, or encrypted data without the right storage secret.
+ */
+export class StorageFormatError extends Error {
     /**
-     * Creates a new instance of a class based on the given type,
-     * using the KlassenRegistry. The type must already be registered.
-     *
-     * @param {string} type - The type identifier (e.g. "MissileLauncher").
-     * @returns {*} A new instance of the corresponding class.
+     * @param {string} message - Description of the failure.
+     * @param {object} [details={}] - Additional context: `problems` lists every invalid part of an export,
+     *        `issues` the validation issues of a load.
      */
-    static createInstance(type) {
-        return new KlassenRegistry[type]();
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "StorageFormatError";
+        this.details = details;
     }
+}
 
-    /**
-     * Recursively completes missing properties for objects that were partially loaded
-     * due to circular references. If an object is a placeholder (a storageReference),
-     * it is replaced by the fully loaded object. This ensures that all mutually referencing
-     * objects are properly linked in the final reconstructed instance.
-     *
-     * @param {*} instance - The object to complete.
-     * @param {*} [parent=null] - (Optional) The parent object that holds the current instance.
-     * @param {string} [prop=null] - (Optional) The property name in the parent where the instance is stored.
-     */
-    static completeMissingProperties(instance, parent = null, prop = null) {
-        if (
-            typeof instance === "number" ||
-            typeof instance === "boolean" ||
-            typeof instance === "string" ||
-            instance == null
-        ) return;
-        const keys = Save.getKeys(instance, false);
-        if (keys.length <= 0) return;
-        if (instance.type == "storageReference" && loadedStorageReferences.has(instance.pointer)) {
-            if (parent != null) parent[prop] = loadedStorageReferences.get(instance.pointer).value;
+/**
+ * Exports a stored root as a self-describing JSON document. The data is read as plain data
+ * (no classes are instantiated and no migrations run) and encoded like a blob, but with the
+ * original field names:
+ * `{ format, version, rootKey, schemaVersion, layout, integrity, atomic, data: { v, root, objects } }`.
+ * `layout` is `"keys"` or `"blob"`, depending on how the root is stored, `integrity` the mode of
+ * its checksum or MAC (`null` without one) and `atomic` whether it was saved atomically.
+ *
+ * Encrypted fields stay encrypted with the storage secret, bound to the root key of the document
+ * and their place in it. Their nonces are derived from the value, so exporting the same data
+ * twice yields the same document.
+ *
+ * @param {string} key - The key of the root to export.
+ * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+ * @returns {string} The JSON document.
+ * @throws {StorageFormatError} If the root fails its integrity check or an encrypted field can't
+ *         be decrypted, e.g. because no storage secret is set. `details.issues` lists the problems.
+ */
+export function exportRoot(key, storageDest = getDefaultStorage()) {
+    storageDest = resolveBackend(storageDest);
+    recoverRoot(key, storageDest);
+    const { layout, key: storedKey } = resolveRoot(key, storageDest);
+    const validation = { rootKey: key, issues: [] };
+    Load.verifyIntegrity(key, layout, storedKey, storageDest, validation, {});
+    const dictionary = rootDictionary(layout, storedKey, storageDest);
+    const data = Load.loadValue(storedKey, storageDest, true, { raw: true, session: new StorageSession(), layout, dictionary, validation });
+    if (validation.issues.length > 0) {
+        throw new StorageFormatError("Root can't be exported unchanged.", { key, issues: validation.issues });
+    }
+    const schemaVersion = storageDest.get(layout.version(storedKey));
+    return JSON.stringify({
+        format: exportFormat,
+        version: exportVersion,
+        rootKey: key,
+        schemaVersion: typeof schemaVersion === "number" ? schemaVersion : 0,
+        layout: storageDest.get(layout.type(storedKey)) === "Blob" ? "blob" : "keys",
+        integrity: integrityMode(layout.integrity ? readValue(storageDest, layout.integrity(storedKey), layout) : undefined) ?? null,
+        atomic: layout === pathLayout && storedKey !== pathLayout.root(key),
+        data: BlobSerializer.encode(data, true, false, null, true, exportLocation(key), true)
+    });
+}
+
+/**
+ * Imports a document created by `exportRoot()` and writes it through the normal save path.
+ * The stored schema version is kept, so older data is migrated on its next load, and the root
+ * gets the checksum or MAC and the atomic layout recorded in the document. Exporting the
+ * imported root yields the same document again.
+ *
+ * @param {string|object} json - The JSON document or its parsed form.
+ * @param {string} key - The key under which the root is stored.
+ * @param {*} [storageDest=getDefaultStorage()] - The storage destination.
+ * @param {object} [options={}] - Save options, see `Save.saveInstance()`. `overwrite` defaults to true,
+ *        `integrity` and `atomic` to the values of the document.
+ * @param {string} [options.layout] - `"keys"` or `"blob"`, by default the layout of the document.
+ *        Exporting a root and importing it with another layout converts between the two.
+ * @throws {StorageFormatError} If the document is not valid JSON, not a valid export or has
+ *         encrypted fields that can't be decrypted with the storage secret.
+ * @throws {StorageBackendError} If the backend rejects a write of the import.
+ */
+export function importRoot(json, key, storageDest = getDefaultStorage(), options = {}) {
+    storageDest = resolveBackend(storageDest);
+    let document = json;
+    if (typeof json === "string") {
+        try {
+            document = JSON.parse(json);
+        } catch (error) {
+            throw new StorageFormatError("Export is not valid JSON.", { problems: [String(error)] });
+        }
+    }
+    const problems = validateExport(document);
+    const layout = options.layout ?? document?.layout;
+    if (!exportLayouts.has(layout)) problems.push(`Unknown layout ${JSON.stringify(layout)}.`);
+    if (problems.length > 0) {
+        throw new StorageFormatError("Invalid export document.", { key, problems });
+    }
+
+    let data;
+    const validation = { rootKey: key, issues: [] };
+    try {
+        data = BlobSerializer.decode(document.data, true, false, validation, null, exportLocation(document.rootKey));
+    } catch (error) {
+        throw new StorageFormatError("Invalid export document.", { key, problems: [String(error)] });
+    }
+    if (validation.issues.length > 0) {
+        const problems = validation.issues.map(issue => `An encrypted field can't be decrypted: ${issue.value}`);
+        throw new StorageFormatError("Invalid export document.", { key, problems });
+    }
+
+    const protection = { atomic: document.atomic === true, ...(document.integrity ? { integrity: document.integrity } : {}) };
+    const saveOptions = { overwrite: true, ...protection, ...options, raw: true, trackAllReferences: true, schemaVersion: document.schemaVersion };
+    const recorder = new RecordingBackend(storageDest);
+    if (layout === "blob") Save.writeBlob(data, key, recorder, saveOptions);
+    else Save.saveInstance(data, key, recorder, saveOptions);
+    // Non-atomic saves log failed writes and go on, an import must not report success then.
+    if (recorder.errors.length > 0) {
+        throw new StorageBackendError("Import failed, the root is incomplete.", { key, errors: recorder.errors.map(String) });
+    }
+}
+
+/**
+ * Returns the location encrypted fields of an export are bound to, see `fieldLocation()`.
+ */
+function exportLocation(rootKey) {
+    return `${exportFormat}/${rootKey}`;
+}
+
+/**
+ * Checks the structure of an export document.
+ *
+ * @param {*} document - The parsed document.
+ * @returns {string[]} A description of every problem found, empty if the document is valid.
+ */
+function validateExport(document) {
+    const problems = [];
+    if (document === null || typeof document !== "object") return ["Export is not an object."];
+    if (document.format !== exportFormat) problems.push(`Unknown format ${JSON.stringify(document.format)}.`);
+    if (document.version !== exportVersion) problems.push(`Unsupported export version ${JSON.stringify(document.version)}.`);
+    if (typeof document.rootKey !== "string") problems.push("rootKey must be a string.");
+    if (!Number.isInteger(document.schemaVersion) || document.schemaVersion < 0) {
+        problems.push("schemaVersion must be a non-negative integer.");
+    }
+    if (document.integrity != null && document.integrity !== "checksum" && document.integrity !== "mac") {
+        problems.push(`Unknown integrity ${JSON.stringify(document.integrity)}.`);
+    }
+    if (document.atomic !== undefined && typeof document.atomic !== "boolean") problems.push("atomic must be a boolean.");
+    const data = document.data;
+    if (data === null || typeof data !== "object" || !Array.isArray(data.objects)) {
+        problems.push("data.objects must be an array.");
+        return problems;
+    }
+
+    const count = data.objects.length;
+    const checkValue = (value, path) => {
+        if (value === null || typeof value === "number" || typeof value === "boolean" || typeof value === "string") return;
+        if (typeof value !== "object") {
+            problems.push(`${path} has an unsupported value.`);
+        } else if (value.s === "Encrypted") {
+            if (typeof value.v !== "string" || !value.v.startsWith("1:")) problems.push(`${path} has an invalid encrypted value.`);
+        } else if (value.s !== undefined) {
+            if (!specialValueTypes.has(value.s)) problems.push(`${path} has the unknown special type ${JSON.stringify(value.s)}.`);
+            else if (!isValidSpecialValue(value.s, value.v)) problems.push(`${path} has an invalid ${value.s} value.`);
+        } else if (!Number.isInteger(value.r) || value.r < 0 || value.r >= count) {
+            problems.push(`${path} references a missing object.`);
+        }
+    };
+    const checkList = (list, path, check) => {
+        if (!Array.isArray(list)) problems.push(`${path} must be an array.`);
+        else list.forEach((item, index) => check(item, `${path}[${index}]`));
+    };
+
+    checkValue(data.root, "data.root");
+    data.objects.forEach((node, id) => {
+        const path = `data.objects[${id}]`;
+        if (node === null || typeof node !== "object") {
+            problems.push(`${path} must be an object.`);
             return;
         }
-        for (let key of keys) {
-            this.completeMissingProperties(instance[key], instance, key);
+        if (node.t !== undefined && typeof node.t !== "string") problems.push(`${path}.t must be a string.`);
+        switch (node.t) {
+            case "Array":
+                checkList(node.a, `${path}.a`, checkValue);
+                break;
+            case "Set":
+                checkList(node.i, `${path}.i`, checkValue);
+                break;
+            case "Map":
+                checkList(node.e, `${path}.e`, (entry, entryPath) => {
+                    if (!Array.isArray(entry) || entry.length !== 2) {
+                        problems.push(`${entryPath} must be a [key, value] pair.`);
+                        return;
+                    }
+                    checkValue(entry[0], `${entryPath}[0]`);
+                    checkValue(entry[1], `${entryPath}[1]`);
+                });
+                break;
+            default:
+                if (node.d !== undefined) {
+                    if (typeof node.t !== "string") problems.push(`${path} has data but no type.`);
+                    if (node.d === null) problems.push(`${path}.d must not be null.`);
+                    else checkValue(node.d, `${path}.d`);
+                } else if (node.f === null || typeof node.f !== "object" || Array.isArray(node.f)) {
+                    problems.push(`${path}.f must be an object.`);
+                } else {
+                    for (const [name, value] of Object.entries(node.f)) checkValue(value, `${path}.f.${name}`);
+                }
+        }
+    });
+    return problems;
+}
+
+/**
+ * Checks whether an encoded special value can be restored by `decodeSpecialValue()`.
+ *
+ * @param {string} type - A type of `specialValueTypes`.
+ * @param {*} value - The encoded value.
+ * @returns {boolean} Whether the value is valid for the type.
+ */
+function isValidSpecialValue(type, value) {
+    const isNumberText = text => text === "NaN" || (text.trim() !== "" && !Number.isNaN(Number(text)));
+    switch (type) {
+        case "undefined":
+        case "null":
+            return value === undefined;
+        case "Number":
+            return value === "NaN" || value === "Infinity" || value === "-Infinity" || value === "-0";
+        case "BigInt":
+            return typeof value === "string" && /^-?\d+$/.test(value);
+        case "Date":
+            return value === "NaN" || Number.isFinite(value);
+        case "Vector3":
+        case "Vector2": {
+            const parts = typeof value === "string" ? value.split(",") : [];
+            return parts.length === (type === "Vector3" ? 3 : 2) && parts.every(isNumberText);
+        }
+        default: {
+            if (typeof value !== "string" || value.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) return false;
+            const byteLength = value.length / 4 * 3 - value.match(/=*$/)[0].length;
+            return byteLength % (typedArrayConstructors[type]?.BYTES_PER_ELEMENT ?? 1) === 0;
         }
     }
 }
@@ -0,0 +1,39 @@
+import { system, world } from '@minecraft/server';
+import { setDefaultStorage, setJobScheduler, setHolderBackend, resolveBackend, RoutingBackend } from './DataStorageSystem.js';
+
+/**
+ * In-game entry point of the Data Storage System.
+ *
+ * DataStorageSystem.js itself does not import `@minecraft/server`, so that it can run under
+ * plain Node. This module connects it to the game by registering `world` as the default
+ * storage destination and `system.runJob` as the scheduler of the asynchronous save/load
+ * variants. Import it instead of DataStorageSystem.js inside your add-on scripts.
+ *
+ * The default storage stores routed fields (see the `routes` option of `registerClass()`) as
+ * scores of the world scoreboard. Use `routedStorage()` for entities.
+ */
+
+/**
+ * Returns a storage destination that stores routed fields as scores and tags, see
+ * `RoutingBackend`. For an entity, the routed fields of its root objects become its own scores
+ * and tags, so that commands can select them with `@s`. From then on, passing the holder itself
+ * to `Save` and `Load` uses the same backend.
+ *
+ * @param {*} holder - The entity, or `world`.
+ * @returns {RoutingBackend} The backend to pass to `Save` and `Load`.
+ */
+export function routedStorage(holder) {
+    const backend = resolveBackend(holder);
+    if (backend instanceof RoutingBackend) return backend;
+    const routed = new RoutingBackend(backend, { scoreboard: world.scoreboard });
+    setHolderBackend(holder, routed);
+    return routed;
+}
+
+setDefaultStorage(routedStorage(world));
+setJobScheduler({
+    runJob: generator => system.runJob(generator),
+    currentTick: () => system.currentTick
+});
+
+export * from './DataStorageSystem.js';
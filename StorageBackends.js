@@ -0,0 +1,533 @@
+/**
+ * Storage Backends for the Data Storage System
+ *
+ * The save/load logic in DataStorageSystem.js never talks to Minecraft directly. Every read
+ * and write goes through a backend object that implements the small contract below. This keeps
+ * the serializer independent of `@minecraft/server` and makes it possible to run the complete
+ * save/load round-trip under plain Node with the in-memory backend.
+ *
+ * Backend contract:
+ * - `get(key)`         Returns the stored value or `undefined`.
+ * - `set(key, value)`  Stores a value. Storing `undefined` removes the key.
+ * - `delete(key)`      Removes a key.
+ * - `keys()`           Returns all keys currently stored in the backend.
+ * - `byteCount()`      Returns the number of bytes used by the backend.
+ * - `maxValueLength`   Maximum length of a single string value.
+ *
+ * Keys starting with `%score/` or `%tag/` hold fields that classes route to scoreboard scores
+ * and tags. Most backends store them like any other key, `RoutingBackend` maps them to the
+ * scoreboard and the tags of an entity.
+ *
+ * This module does not import `@minecraft/server`. The adapters only rely on the
+ * dynamic property methods of the objects they wrap.
+ */
+
+import { sha256, utf8Encode, toHex } from './StorageCrypto.js';
+
+/**
+ * Maximum length of a string stored in a single dynamic property.
+ */
+export const DYNAMIC_PROPERTY_MAX_STRING_LENGTH = 32767;
+
+/**
+ * Error thrown when a backend cannot store a value, e.g. because a simulated engine limit
+ * was exceeded or the wrapped game object is no longer valid.
+ */
+export class StorageBackendError extends Error {
+    /**
+     * @param {string} message - Description of the failure.
+     * @param {object} [details={}] - Additional context such as the key or the limit that was hit.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "StorageBackendError";
+        this.details = details;
+    }
+}
+
+/**
+ * Base class of all backends. Subclasses override the methods of the backend contract.
+ * `instanceof StorageBackend` is used to recognize objects that don't need to be wrapped.
+ */
+export class StorageBackend {
+    constructor() {
+        this.maxValueLength = DYNAMIC_PROPERTY_MAX_STRING_LENGTH;
+        /**
+         * Identities of the objects the backend stores in its shared area, see `StorageSession`
+         * in DataStorageSystem.js. Only the innermost backend of wrappers such as
+         * `RoutingBackend` uses it.
+         */
+        this.sharedIdentities = new WeakMap();
+    }
+
+    get(key) {
+        throw new StorageBackendError("get() is not implemented by this backend.", { key });
+    }
+
+    set(key, value) {
+        throw new StorageBackendError("set() is not implemented by this backend.", { key });
+    }
+
+    delete(key) {
+        this.set(key, undefined);
+    }
+
+    keys() {
+        return [];
+    }
+
+    byteCount() {
+        return NaN;
+    }
+}
+
+/**
+ * Adapter for any object that offers the dynamic property methods of `@minecraft/server`
+ * (`getDynamicProperty`, `setDynamicProperty` and optionally `getDynamicPropertyIds`
+ * and `getDynamicPropertyTotalByteCount`).
+ */
+export class DynamicPropertyBackend extends StorageBackend {
+    /**
+     * @param {*} holder - The object owning the dynamic properties.
+     */
+    constructor(holder) {
+        super();
+        this.holder = holder;
+    }
+
+    /**
+     * Hook for subclasses to verify that the holder can still be accessed.
+     */
+    assertAccessible() { }
+
+    get(key) {
+        this.assertAccessible();
+        return this.holder.getDynamicProperty(key);
+    }
+
+    set(key, value) {
+        this.assertAccessible();
+        this.holder.setDynamicProperty(key, value);
+    }
+
+    keys() {
+        this.assertAccessible();
+        return typeof this.holder.getDynamicPropertyIds === "function" ? this.holder.getDynamicPropertyIds() : [];
+    }
+
+    byteCount() {
+        this.assertAccessible();
+        return typeof this.holder.getDynamicPropertyTotalByteCount === "function" ? this.holder.getDynamicPropertyTotalByteCount() : NaN;
+    }
+}
+
+/**
+ * Backend for the `world` object.
+ */
+export class WorldBackend extends DynamicPropertyBackend { }
+
+/**
+ * Backend for an `Entity`. Access fails with a `StorageBackendError` once the entity was
+ * unloaded or removed, instead of an engine error deep inside the serializer.
+ */
+export class EntityBackend extends DynamicPropertyBackend {
+    assertAccessible() {
+        const isValid = typeof this.holder.isValid === "function" ? this.holder.isValid() : this.holder.isValid;
+        if (isValid === false) {
+            throw new StorageBackendError("Entity is no longer valid.", { typeId: this.holder.typeId });
+        }
+    }
+}
+
+/**
+ * Backend for an `ItemStack`. Only non-stackable items can hold dynamic properties. Note that
+ * an ItemStack is a copy: it has to be written back into its container after saving.
+ */
+export class ItemStackBackend extends DynamicPropertyBackend {
+    assertAccessible() {
+        if (this.holder.isStackable) {
+            throw new StorageBackendError("Stackable items can't hold dynamic properties.", { typeId: this.holder.typeId });
+        }
+    }
+}
+
+/**
+ * Map-backed backend for tests and tools running outside the game.
+ * It can simulate the engine limits so that overflows show up in tests instead of a live world.
+ */
+export class MemoryBackend extends StorageBackend {
+    /**
+     * @param {object} [limits={}] - Optional engine limits to simulate.
+     * @param {number} [limits.maxStringLength=32767] - Maximum length of a single string value.
+     * @param {number} [limits.maxKeyLength=Infinity] - Maximum length of a key.
+     * @param {number} [limits.maxTotalBytes=Infinity] - Quota for the total byte count of the backend.
+     */
+    constructor({ maxStringLength = DYNAMIC_PROPERTY_MAX_STRING_LENGTH, maxKeyLength = Infinity, maxTotalBytes = Infinity } = {}) {
+        super();
+        this.maxValueLength = maxStringLength;
+        this.maxKeyLength = maxKeyLength;
+        this.maxTotalBytes = maxTotalBytes;
+        this.data = new Map();
+        this.totalBytes = 0;
+    }
+
+    get(key) {
+        return this.data.get(key);
+    }
+
+    set(key, value) {
+        if (value === undefined) {
+            this.delete(key);
+            return;
+        }
+        if (typeof value !== "number" && typeof value !== "boolean" && typeof value !== "string" && !isVector3(value)) {
+            throw new StorageBackendError("Unsupported value type.", { key, valueType: typeof value });
+        }
+        if (key.length > this.maxKeyLength) {
+            throw new StorageBackendError("Key exceeds the maximum key length.", { key, limit: this.maxKeyLength });
+        }
+        if (typeof value === "string" && value.length > this.maxValueLength) {
+            throw new StorageBackendError("String exceeds the maximum value length.", { key, length: value.length, limit: this.maxValueLength });
+        }
+        const previousBytes = this.data.has(key) ? estimateByteCount(key, this.data.get(key)) : 0;
+        const newTotal = this.totalBytes - previousBytes + estimateByteCount(key, value);
+        if (newTotal > this.maxTotalBytes) {
+            throw new StorageBackendError("Total byte quota exceeded.", { key, total: newTotal, limit: this.maxTotalBytes });
+        }
+        this.data.set(key, typeof value === "object" ? { x: value.x, y: value.y, z: value.z } : value);
+        this.totalBytes = newTotal;
+    }
+
+    delete(key) {
+        if (!this.data.has(key)) return;
+        this.totalBytes -= estimateByteCount(key, this.data.get(key));
+        this.data.delete(key);
+    }
+
+    keys() {
+        return [...this.data.keys()];
+    }
+
+    byteCount() {
+        return this.totalBytes;
+    }
+
+    /**
+     * Removes all stored values.
+     */
+    clear() {
+        this.data.clear();
+        this.totalBytes = 0;
+    }
+}
+
+/**
+ * Backend wrapper that forwards every call to another backend and records which keys were
+ * written and which writes failed. Used to find stale keys when an instance is saved over
+ * older data, and to notice failures that the serializer only logs.
+ *
+ * Writes of keys selected by `deferKey` are held back until `applyDeferred()`, and
+ * `revertDeferred()` gives them their previous values again. Atomic saves use this for routed
+ * fields, which live outside the generation being written.
+ */
+export class RecordingBackend extends StorageBackend {
+    /**
+     * @param {StorageBackend} target - The backend that receives the calls.
+     * @param {object} [options={}] - Recording options.
+     * @param {function(string): boolean} [options.deferKey] - Selects the keys whose writes are held back.
+     */
+    constructor(target, { deferKey } = {}) {
+        super();
+        this.target = target;
+        this.maxValueLength = target.maxValueLength;
+        this.writtenKeys = new Set();
+        this.errors = [];
+        this.deferKey = deferKey;
+        this.deferred = new Map();
+        this.previousValues = [];
+    }
+
+    get(key) {
+        return this.deferred.has(key) ? this.deferred.get(key) : this.target.get(key);
+    }
+
+    set(key, value) {
+        if (this.deferKey?.(key)) {
+            this.deferred.set(key, value);
+            return;
+        }
+        try {
+            this.target.set(key, value);
+        } catch (error) {
+            this.errors.push(error);
+            throw error;
+        }
+        if (value === undefined) this.writtenKeys.delete(key);
+        else this.writtenKeys.add(key);
+    }
+
+    delete(key) {
+        if (this.deferKey?.(key)) {
+            this.deferred.set(key, undefined);
+            return;
+        }
+        this.target.delete(key);
+        this.writtenKeys.delete(key);
+    }
+
+    keys() {
+        return this.target.keys();
+    }
+
+    byteCount() {
+        return this.target.byteCount();
+    }
+
+    /**
+     * Writes the held back keys to the target, remembering their previous values. Throws the
+     * first failed write; the keys written until then stay written.
+     */
+    applyDeferred() {
+        for (const [key, value] of this.deferred) {
+            this.previousValues.push([key, this.target.get(key)]);
+            this.deferred.delete(key);
+            this.target.set(key, value);
+            if (value === undefined) this.writtenKeys.delete(key);
+            else this.writtenKeys.add(key);
+        }
+    }
+
+    /**
+     * Gives the keys written by `applyDeferred()` their previous values again, as far as possible.
+     */
+    revertDeferred() {
+        for (const [key, value] of this.previousValues.reverse()) {
+            try {
+                this.target.set(key, value);
+            } catch (error) {
+                this.errors.push(error);
+            }
+        }
+        this.previousValues = [];
+    }
+}
+
+/**
+ * Backend that stores routed fields (see the `routes` option of `registerClass()`) as
+ * scoreboard scores and entity tags, so that commands and function files can read them, and
+ * everything else as dynamic properties of the wrapped holder.
+ *
+ * `Save` writes a routed field under `%score/<objective>/<path>` or `%tag/<tag>/<path>`, where
+ * `<path>` is the stored path of the object that owns the field:
+ * - With an entity, the fields of its root objects become scores and tags of the entity itself,
+ *   so that `@s` selects them. Fields of nested objects stay dynamic properties. An objective or
+ *   tag belongs to the first root that writes it, recorded under `%route/<kind>/<name>`: writing
+ *   it from another root of the entity throws, reading or deleting it there leaves it untouched.
+ * - Without an entity, scores belong to a fake player named after the path. Paths longer than
+ *   `maxParticipantLength` are shortened and end in a hash of the full path. Tags stay dynamic
+ *   properties, since only entities have tags.
+ * Objectives are created when the first score is written to them.
+ */
+export class RoutingBackend extends StorageBackend {
+    /**
+     * @param {*} target - A backend or an object with dynamic properties that stores all other keys.
+     * @param {object} [options={}] - Where routed fields are stored.
+     * @param {*} [options.scoreboard=null] - The scoreboard (`world.scoreboard`). Without it, scores
+     *        stay dynamic properties.
+     * @param {*} [options.entity] - The entity owning the scores and tags. Defaults to the holder
+     *        of `target` if that is an entity.
+     */
+    constructor(target, { scoreboard = null, entity } = {}) {
+        super();
+        const backend = resolveBackend(target);
+        // A holder registered with a routing backend (see `setHolderBackend()`) is routed only once.
+        this.target = backend instanceof RoutingBackend ? backend.target : backend;
+        this.maxValueLength = this.target.maxValueLength;
+        this.scoreboard = scoreboard;
+        this.entity = entity !== undefined ? entity : (this.target instanceof EntityBackend ? this.target.holder : null);
+    }
+
+    get(key) {
+        const route = this.routeOf(key);
+        if (!route) return this.target.get(key);
+        if (this.ownerOf(route) !== route.path) return undefined;
+        if (route.kind === "tag") return this.entity.hasTag(route.name) || undefined;
+        try {
+            return this.scoreboard.getObjective(route.name)?.getScore(route.participant);
+        } catch (error) {
+            // Participants without a score can't be queried on some engine versions.
+            return undefined;
+        }
+    }
+
+    set(key, value) {
+        const route = this.routeOf(key);
+        if (!route) {
+            this.target.set(key, value);
+            return;
+        }
+        const owner = this.ownerOf(route);
+        if (owner !== route.path) {
+            // Another root of the entity owns the objective or tag, its value is not ours to remove.
+            if (value === undefined || value === false) return;
+            throw new StorageBackendError("The objective or tag is already used by another root of the entity.", { key, owner });
+        }
+        if (route.kind === "tag") {
+            if (value === undefined || value === false) this.entity.removeTag(route.name);
+            else this.entity.addTag(route.name);
+        } else if (value === undefined) {
+            this.scoreboard.getObjective(route.name)?.removeParticipant(route.participant);
+        } else {
+            if (!Number.isInteger(value)) {
+                throw new StorageBackendError("Scores must be integers.", { key, valueType: typeof value });
+            }
+            const objective = this.scoreboard.getObjective(route.name) ?? this.scoreboard.addObjective(route.name, route.name);
+            objective.setScore(route.participant, value);
+        }
+        if (route.claim) this.target.set(route.claim, value === undefined || value === false ? undefined : route.path);
+    }
+
+    delete(key) {
+        this.set(key, undefined);
+    }
+
+    keys() {
+        return this.target.keys();
+    }
+
+    byteCount() {
+        return this.target.byteCount();
+    }
+
+    /**
+     * Returns where a routed key is stored, or `null` if it is stored in the target.
+     *
+     * @param {string} key - The key to look up.
+     * @returns {{kind: string, name: string, path: string, participant: *, claim: (string|undefined)}|null}
+     *          The objective or tag name, the path of the owning object, for scores the participant
+     *          and, with an entity, the key that records which root owns the objective or tag.
+     */
+    routeOf(key) {
+        const match = /^%(score|tag)\/([^/]+)\/([^:]+)$/.exec(key);
+        if (!match) return null;
+        const [, kind, name, path] = match;
+        if (kind === "score" && !this.scoreboard) return null;
+        if (this.entity) {
+            if (path.includes("/")) return null;
+            this.target.assertAccessible?.();
+            return { kind, name, path, participant: this.entity, claim: `%route/${kind}/${name}` };
+        }
+        return kind === "score" ? { kind, name, path, participant: participantName(path) } : null;
+    }
+
+    /**
+     * Returns the path of the root that owns a route. Routes without an owner yet, and all
+     * routes of fake players, belong to the path they are accessed with.
+     */
+    ownerOf(route) {
+        if (!route.claim) return route.path;
+        return this.target.get(route.claim) ?? route.path;
+    }
+}
+
+/**
+ * Maximum length of the fake player names `RoutingBackend` creates for paths.
+ */
+const maxParticipantLength = 32;
+
+/**
+ * Returns the fake player name of a path: the path itself, or for long paths its start
+ * followed by `~` and a hash of the full path, `maxParticipantLength` characters in total.
+ */
+function participantName(path) {
+    if (path.length <= maxParticipantLength) return path;
+    const hash = toHex(sha256(utf8Encode(path))).slice(0, 16);
+    return `${path.slice(0, maxParticipantLength - hash.length - 1)}~${hash}`;
+}
+
+/**
+ * Adapters created for plain game objects, so that wrapping the same object twice
+ * returns the same backend. `setHolderBackend()` replaces them.
+ */
+const wrappedHolders = new WeakMap();
+
+/**
+ * Sets the backend `resolveBackend()` returns for a game object, so that passing the object
+ * itself reads and writes the same keys, scores and tags as passing the backend. MinecraftStorage.js
+ * registers the routing backends of `routedStorage()` this way.
+ *
+ * @param {*} holder - The object with dynamic property methods.
+ * @param {StorageBackend} backend - The backend that stores the data of `holder`.
+ */
+export function setHolderBackend(holder, backend) {
+    wrappedHolders.set(holder, backend);
+}
+
+/**
+ * Returns a backend for the given storage destination. Backends are returned unchanged,
+ * objects with dynamic property methods (`world`, an `Entity` or an `ItemStack`) are wrapped
+ * in the matching adapter.
+ *
+ * @param {*} storageDest - A backend or an object with dynamic property methods.
+ * @returns {StorageBackend} The backend to read from and write to.
+ */
+export function resolveBackend(storageDest) {
+    if (storageDest instanceof StorageBackend) return storageDest;
+    if (storageDest == null || typeof storageDest.getDynamicProperty !== "function" || typeof storageDest.setDynamicProperty !== "function") {
+        throw new StorageBackendError("Storage destination is neither a backend nor an object with dynamic properties.");
+    }
+    let backend = wrappedHolders.get(storageDest);
+    if (!backend) {
+        if ("isStackable" in storageDest) {
+            backend = new ItemStackBackend(storageDest);
+        } else if ("dimension" in storageDest && "typeId" in storageDest) {
+            backend = new EntityBackend(storageDest);
+        } else {
+            backend = new WorldBackend(storageDest);
+        }
+        wrappedHolders.set(storageDest, backend);
+    }
+    return backend;
+}
+
+function isVector3(value) {
+    return value != null && typeof value === "object" &&
+        typeof value.x === "number" && typeof value.y === "number" && typeof value.z === "number";
+}
+
+/**
+ * Approximates the number of bytes the engine accounts for a single dynamic property.
+ *
+ * @param {string} key - The property key.
+ * @param {*} value - The stored value.
+ * @returns {number} The estimated byte count of key and value.
+ */
+export function estimateByteCount(key, value) {
+    let valueBytes;
+    switch (typeof value) {
+        case "string":
+            valueBytes = utf8Length(value);
+            break;
+        case "number":
+            valueBytes = 8;
+            break;
+        case "boolean":
+            valueBytes = 1;
+            break;
+        default:
+            valueBytes = 24;
+    }
+    return utf8Length(key) + valueBytes;
+}
+
+function utf8Length(str) {
+    let bytes = 0;
+    for (let i = 0; i < str.length; i++) {
+        const code = str.charCodeAt(i);
+        if (code < 0x80) bytes += 1;
+        else if (code < 0x800) bytes += 2;
+        else if (code >= 0xd800 && code <= 0xdbff) { bytes += 4; i++; }
+        else bytes += 3;
+    }
+    return bytes;
+}
@@ -0,0 +1,251 @@
+/**
+ * Cryptographic Primitives for the Data Storage System
+ *
+ * The Bedrock script runtime offers neither `crypto.subtle` nor `TextEncoder`, so checksums,
+ * MACs and the encryption of fields (see DataStorageSystem.js) are built on this pure
+ * JavaScript implementation of SHA-256 and HMAC-SHA256 (FIPS 180-4, RFC 2104). It runs the
+ * same way in the game and under plain Node.
+ *
+ * All functions take and return `Uint8Array`s, strings are converted with `utf8Encode()`.
+ */
+
+/**
+ * Round constants of SHA-256: the first 32 bits of the fractional parts of the cube roots of
+ * the first 64 primes.
+ */
+const roundConstants = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Initial hash value of SHA-256: the first 32 bits of the fractional parts of the square roots
+ * of the first 8 primes.
+ */
+const initialHash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]);
+
+/**
+ * Block size of SHA-256 in bytes, also the key block size of HMAC-SHA256.
+ */
+const blockSize = 64;
+
+/**
+ * Computes the SHA-256 digest of some bytes.
+ *
+ * @param {Uint8Array} bytes - The message.
+ * @returns {Uint8Array} The 32 byte digest.
+ */
+export function sha256(bytes) {
+    // Padding: a single 1 bit, zeros and the message length in bits as 64 bit big endian number.
+    const paddedLength = Math.ceil((bytes.length + 9) / blockSize) * blockSize;
+    const message = new Uint8Array(paddedLength);
+    message.set(bytes);
+    message[bytes.length] = 0x80;
+    const view = new DataView(message.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(paddedLength - 4, (bytes.length << 3) >>> 0);
+
+    const hash = new Uint32Array(initialHash);
+    const words = new Uint32Array(64);
+    for (let offset = 0; offset < paddedLength; offset += blockSize) {
+        for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = rotateRight(w15, 7) ^ rotateRight(w15, 18) ^ (w15 >>> 3);
+            const s1 = rotateRight(w2, 17) ^ rotateRight(w2, 19) ^ (w2 >>> 10);
+            words[i] = (words[i - 16] + s0 + words[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + s1 + choice + roundConstants[i] + words[i]) >>> 0;
+            const s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (s0 + majority) >>> 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) >>> 0;
+        }
+        hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+        hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    for (let i = 0; i < 8; i++) digestView.setUint32(i * 4, hash[i]);
+    return digest;
+}
+
+function rotateRight(value, bits) {
+    return (value >>> bits) | (value << (32 - bits));
+}
+
+/**
+ * Computes the HMAC-SHA256 of a message.
+ *
+ * @param {Uint8Array} key - The secret key. Keys longer than a block are hashed first.
+ * @param {Uint8Array} bytes - The message.
+ * @returns {Uint8Array} The 32 byte MAC.
+ */
+export function hmacSha256(key, bytes) {
+    const keyBlock = new Uint8Array(blockSize);
+    keyBlock.set(key.length > blockSize ? sha256(key) : key);
+    const inner = new Uint8Array(blockSize + bytes.length);
+    const outer = new Uint8Array(blockSize + 32);
+    for (let i = 0; i < blockSize; i++) {
+        inner[i] = keyBlock[i] ^ 0x36;
+        outer[i] = keyBlock[i] ^ 0x5c;
+    }
+    inner.set(bytes, blockSize);
+    outer.set(sha256(inner), blockSize);
+    return sha256(outer);
+}
+
+/**
+ * Encrypts or decrypts bytes with a keystream of HMAC-SHA256 blocks over the nonce and a block
+ * counter (counter mode). Applying it twice with the same key and nonce returns the input, and
+ * a nonce must never be used twice with the same key.
+ *
+ * @param {Uint8Array} key - The secret key.
+ * @param {Uint8Array} nonce - The nonce of this message.
+ * @param {Uint8Array} bytes - Plaintext or ciphertext.
+ * @returns {Uint8Array} Ciphertext or plaintext.
+ */
+export function applyKeystream(key, nonce, bytes) {
+    const result = new Uint8Array(bytes.length);
+    const counterBlock = new Uint8Array(nonce.length + 4);
+    counterBlock.set(nonce);
+    const counterView = new DataView(counterBlock.buffer);
+    for (let offset = 0, counter = 0; offset < bytes.length; offset += 32, counter++) {
+        counterView.setUint32(nonce.length, counter);
+        const keystream = hmacSha256(key, counterBlock);
+        const end = Math.min(offset + 32, bytes.length);
+        for (let i = offset; i < end; i++) result[i] = bytes[i] ^ keystream[i - offset];
+    }
+    return result;
+}
+
+/**
+ * Compares two byte arrays in time independent of where they differ.
+ *
+ * @param {Uint8Array} a - First array.
+ * @param {Uint8Array} b - Second array.
+ * @returns {boolean} Whether both contain the same bytes.
+ */
+export function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+    return difference === 0;
+}
+
+/**
+ * Number of `randomBytes()` calls without `crypto`, so that calls within the same millisecond
+ * differ even if `Math.random()` repeats.
+ */
+let randomCounter = 0;
+
+/**
+ * Returns random bytes, from `crypto.getRandomValues()` where the runtime has it. The Bedrock
+ * runtime doesn't, there the bytes are hashed from the time, a counter and `Math.random()`:
+ * unique enough for nonces, but not secret.
+ *
+ * @param {number} length - The number of bytes.
+ * @returns {Uint8Array} The bytes.
+ */
+export function randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    if (typeof globalThis.crypto?.getRandomValues === "function") {
+        globalThis.crypto.getRandomValues(bytes);
+        return bytes;
+    }
+    const seed = `${Date.now()}:${++randomCounter}:${Math.random()}`;
+    for (let offset = 0; offset < length; offset += 32) {
+        bytes.set(sha256(utf8Encode(`${seed}:${offset}`)).subarray(0, Math.min(32, length - offset)), offset);
+    }
+    return bytes;
+}
+
+/**
+ * Encodes a string as UTF-8. Unpaired surrogates become U+FFFD like in `TextEncoder`.
+ *
+ * @param {string} str - The string.
+ * @returns {Uint8Array} The UTF-8 bytes.
+ */
+export function utf8Encode(str) {
+    const bytes = [];
+    for (let i = 0; i < str.length; i++) {
+        let code = str.charCodeAt(i);
+        if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+            const low = str.charCodeAt(i + 1);
+            if (low >= 0xdc00 && low <= 0xdfff) {
+                code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00);
+                i++;
+            }
+        }
+        if (code >= 0xd800 && code <= 0xdfff) code = 0xfffd;
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Decodes UTF-8 bytes written by `utf8Encode()`.
+ *
+ * @param {Uint8Array} bytes - The UTF-8 bytes.
+ * @returns {string} The string.
+ */
+export function utf8Decode(bytes) {
+    let str = "";
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        let code;
+        if (byte < 0x80) {
+            code = byte;
+        } else if (byte < 0xe0) {
+            code = ((byte & 0x1f) << 6) | (bytes[++i] & 0x3f);
+        } else if (byte < 0xf0) {
+            code = ((byte & 0x0f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+        } else {
+            code = ((byte & 0x07) << 18) | ((bytes[++i] & 0x3f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+        }
+        str += String.fromCodePoint(code);
+    }
+    return str;
+}
+
+/**
+ * Formats bytes as lowercase hexadecimal string.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} Two hex digits per byte.
+ */
+export function toHex(bytes) {
+    let hex = "";
+    for (const byte of bytes) hex += byte.toString(16).padStart(2, "0");
+    return hex;
+}
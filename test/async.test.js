@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, MemoryBackend, initializeClasses, registerClass } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+let hookCalls = 0;
+
+class Purse {
+    constructor(coins = 0) {
+        this.coins = coins;
+    }
+
+    onBeforeSave() {
+        hookCalls++;
+        this.savedCoins = this.coins;
+    }
+}
+registerClass("Purse", Purse);
+
+class Spot {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    toStorage() {
+        return [this.x, this.y];
+    }
+
+    static fromStorage(data) {
+        return new Spot(...data);
+    }
+}
+registerClass("Spot", Spot);
+
+const sample = () => {
+    const shared = { name: "shared" };
+    const value = {
+        purse: new Purse(5),
+        spot: new Spot(1, 2),
+        when: new Date(1000),
+        bytes: new Uint8Array([1, 2, 3]),
+        map: new Map([["a", shared]]),
+        set: new Set([1, "two"]),
+        again: shared,
+        list: Array.from({ length: 200 }, (_, i) => ({ i }))
+    };
+    Object.defineProperty(value, "__proto__", { value: { kept: true }, enumerable: true, writable: true, configurable: true });
+    return value;
+};
+
+test("async saves of classes and special values match sync saves", async () => {
+    const sync = new MemoryBackend();
+    const async = new MemoryBackend();
+    Save.saveInstance(sample(), "root", sync, { trackAllReferences: true });
+    hookCalls = 0;
+    await Save.saveInstanceAsync(sample(), "root", async, { trackAllReferences: true });
+
+    assert.equal(hookCalls, 1);
+    assert.deepEqual(new Map(async.data), new Map(sync.data));
+    const loaded = Load.loadInstance("root", async);
+    assert.ok(loaded.purse instanceof Purse);
+    assert.ok(loaded.spot instanceof Spot);
+    assert.equal(loaded.map.get("a"), loaded.again);
+});
+
+test("changes made while an async save runs are not stored", async () => {
+    const storage = new MemoryBackend();
+    const value = sample();
+    const saving = Save.saveInstanceAsync(value, "root", storage, { tickBudgetMs: 0 });
+    value.purse.coins = 99;
+    value.spot.x = 99;
+    value.when.setTime(0);
+    value.bytes[0] = 99;
+    value.list[150].i = -1;
+    value.list.push({ i: 200 });
+    value.map.set("b", 1);
+    value.extra = true;
+    await saving;
+
+    const loaded = Load.loadInstance("root", storage);
+    assert.equal(loaded.purse.coins, 5);
+    assert.equal(loaded.purse.savedCoins, 5);
+    assert.equal(loaded.spot.x, 1);
+    assert.equal(loaded.when.getTime(), 1000);
+    assert.equal(loaded.bytes[0], 1);
+    assert.equal(loaded.list[150].i, 150);
+    assert.equal(loaded.list.length, 200);
+    assert.deepEqual([...loaded.map.keys()], ["a"]);
+    assert.equal(loaded.extra, undefined);
+});
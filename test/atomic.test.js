@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, Delete, MemoryBackend, initializeClasses, StorageBackendError } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+test("atomic saves commit a new generation and remove the previous one", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ coins: 1, old: true }, "bank", storage, { atomic: true });
+    Save.saveInstance({ coins: 2 }, "bank", storage, { atomic: true });
+
+    assert.equal(storage.get("bank:h"), 2);
+    assert.equal(storage.get("bank:j"), undefined);
+    assert.ok(storage.keys().every(key => !key.startsWith("bank:g1")));
+    assert.deepEqual(Load.loadInstance("bank", storage), { coins: 2 });
+});
+
+test("a failed atomic save keeps the previous data", () => {
+    const storage = new MemoryBackend({ maxTotalBytes: 200 });
+    Save.saveInstance({ coins: 1 }, "bank", storage, { atomic: true });
+    const before = new Map(storage.data);
+
+    assert.throws(() => Save.saveInstance({ coins: 2, history: "x".repeat(300) }, "bank", storage, { atomic: true }), StorageBackendError);
+    assert.deepEqual(new Map(storage.data), before);
+    assert.deepEqual(Load.loadInstance("bank", storage), { coins: 1 });
+});
+
+test("loading finishes an interrupted atomic save", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ coins: 1 }, "bank", storage, { atomic: true });
+    // The world closed while generation 2 was written: journal set, head not moved yet.
+    storage.set("bank:j", 2);
+    storage.set("bank:g2/coins", 2);
+    storage.set("bank:g2:k", '["coins"]');
+
+    assert.deepEqual(Load.loadInstance("bank", storage), { coins: 1 });
+    assert.ok(storage.keys().every(key => !key.startsWith("bank:g2") && key !== "bank:j"));
+});
+
+test("loading completes a committed atomic save", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ coins: 1 }, "bank", storage, { atomic: true });
+    const previous = storage.keys().filter(key => key.startsWith("bank:g1"));
+    // The world closed after the commit but before the previous generation was removed.
+    for (const key of previous) storage.set(key.replace("bank:g1", "bank:g2"), storage.get(key));
+    storage.set("bank:g2/coins", 2);
+    storage.set("bank:j", 2);
+    storage.set("bank:h", 2);
+
+    assert.deepEqual(Load.loadInstance("bank", storage), { coins: 2 });
+    assert.ok(storage.keys().every(key => !key.startsWith("bank:g1") && key !== "bank:j"));
+});
+
+test("deleting an atomic root removes keys its keys lists no longer reach", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ a: 1 }, "k", storage, { atomic: true });
+    Save.saveInstance({ b: 2 }, "k", storage);
+    assert.ok(storage.keys().includes("k:g1/a"));
+
+    Delete.deleteInstance("k", storage);
+    assert.deepEqual(storage.keys(), []);
+});
+
+test("async saves write the same data as sync saves", async () => {
+    const sync = new MemoryBackend();
+    const async = new MemoryBackend();
+    const value = { list: Array.from({ length: 200 }, (_, i) => ({ i })), name: "async" };
+    Save.saveInstance(value, "root", sync, { atomic: true });
+    await Save.saveInstanceAsync(value, "root", async, { atomic: true });
+
+    assert.deepEqual(new Map(async.data), new Map(sync.data));
+    assert.deepEqual(await Load.loadInstanceAsync("root", async), Load.loadInstance("root", sync));
+});
+
+test("a failed async atomic save rejects and keeps the previous data", async () => {
+    const storage = new MemoryBackend({ maxTotalBytes: 200 });
+    Save.saveInstance({ coins: 1 }, "bank", storage, { atomic: true });
+
+    await assert.rejects(Save.saveInstanceAsync({ coins: 2, history: "x".repeat(300) }, "bank", storage, { atomic: true }), StorageBackendError);
+    assert.deepEqual(Load.loadInstance("bank", storage), { coins: 1 });
+});
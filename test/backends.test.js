@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, Delete, MemoryBackend, RoutingBackend, initializeClasses, registerClass, resolveBackend, setHolderBackend, setDefaultStorage } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+class Stats {
+    constructor(coins = 0, alive = true) {
+        this.coins = coins;
+        this.alive = alive;
+    }
+}
+registerClass("Stats", Stats, { routes: { coins: "score", alive: "tag" } });
+
+/**
+ * Stands in for `world.scoreboard`: objectives map participants to scores.
+ */
+class FakeScoreboard {
+    constructor() {
+        this.objectives = new Map();
+    }
+
+    getObjective(name) {
+        return this.objectives.get(name);
+    }
+
+    addObjective(name) {
+        const scores = new Map();
+        const objective = {
+            scores,
+            getScore: participant => scores.get(participant),
+            setScore: (participant, value) => scores.set(participant, value),
+            removeParticipant: participant => scores.delete(participant)
+        };
+        this.objectives.set(name, objective);
+        return objective;
+    }
+}
+
+const fakeEntity = () => {
+    const tags = new Set();
+    return { tags, hasTag: tag => tags.has(tag), addTag: tag => tags.add(tag), removeTag: tag => tags.delete(tag) };
+};
+
+/**
+ * Stands in for `world`: an object with dynamic property methods.
+ */
+const fakeHolder = () => {
+    const properties = new Map();
+    return {
+        properties,
+        getDynamicProperty: key => properties.get(key),
+        setDynamicProperty: (key, value) => value === undefined ? properties.delete(key) : properties.set(key, value),
+        getDynamicPropertyIds: () => [...properties.keys()]
+    };
+};
+
+test("the memory backend enforces its limits", () => {
+    const storage = new MemoryBackend({ maxStringLength: 10, maxKeyLength: 5 });
+    assert.throws(() => storage.set("key", "x".repeat(11)), { name: "StorageBackendError" });
+    assert.throws(() => storage.set("longkey", 1), { name: "StorageBackendError" });
+    storage.set("key", "x".repeat(10));
+    assert.ok(storage.byteCount() > 0);
+    storage.delete("key");
+    assert.equal(storage.byteCount(), 0);
+});
+
+test("calls without a storage destination use the default storage", () => {
+    assert.throws(() => Save.saveInstance({ coins: 1 }, "player"), /MinecraftStorage\.js/);
+
+    const world = fakeHolder();
+    setDefaultStorage(world);
+    try {
+        Save.saveInstance({ coins: 1 }, "player");
+        assert.equal(Load.loadInstance("player").coins, 1);
+        assert.equal(world.properties.get("player/coins"), 1);
+    } finally {
+        setDefaultStorage(null);
+    }
+});
+
+test("routed fields of an entity's root become its scores and tags", () => {
+    const scoreboard = new FakeScoreboard();
+    const entity = fakeEntity();
+    const storage = new RoutingBackend(new MemoryBackend(), { scoreboard, entity });
+    Save.saveInstance(new Stats(42, true), "stats", storage);
+
+    assert.equal(scoreboard.getObjective("coins").getScore(entity), 42);
+    assert.ok(entity.tags.has("alive"));
+    scoreboard.getObjective("coins").setScore(entity, 50);
+    entity.removeTag("alive");
+    const loaded = Load.loadInstance("stats", storage);
+    assert.equal(loaded.coins, 50);
+    assert.equal(loaded.alive, false);
+});
+
+test("a second root of an entity can't take over the first root's scores and tags", () => {
+    const scoreboard = new FakeScoreboard();
+    const entity = fakeEntity();
+    const storage = new RoutingBackend(new MemoryBackend(), { scoreboard, entity });
+    Save.saveInstance(new Stats(5, true), "first", storage);
+    Save.saveInstance(new Stats(7, true), "second", storage);
+
+    assert.equal(scoreboard.getObjective("coins").getScore(entity), 5);
+    Delete.deleteInstance("second", storage);
+    assert.equal(scoreboard.getObjective("coins").getScore(entity), 5);
+    assert.ok(entity.tags.has("alive"));
+    assert.equal(Load.loadInstance("first", storage).coins, 5);
+});
+
+test("fake player names stay short", () => {
+    const scoreboard = new FakeScoreboard();
+    const storage = new RoutingBackend(new MemoryBackend(), { scoreboard, entity: null });
+    const deep = { a: { b: { c: { d: { e: { f: { g: new Stats(3) } } } } } } };
+    Save.saveInstance(deep, "a_root_with_a_rather_long_name", storage);
+
+    const [participant] = scoreboard.getObjective("coins").scores.keys();
+    assert.ok(participant.length <= 32);
+    assert.equal(Load.loadInstance("a_root_with_a_rather_long_name", storage).a.b.c.d.e.f.g.coins, 3);
+});
+
+test("a holder registered with a routing backend resolves to it", () => {
+    const scoreboard = new FakeScoreboard();
+    const world = fakeHolder();
+    const routed = new RoutingBackend(world, { scoreboard });
+    setHolderBackend(world, routed);
+    assert.equal(resolveBackend(world), routed);
+    assert.equal(new RoutingBackend(world, { scoreboard }).target, routed.target);
+
+    Save.saveInstance({ bank: new Stats(9) }, "eco", routed);
+    assert.equal(Load.loadInstance("eco", world).bank.coins, 9);
+    Save.saveInstance({ bank: new Stats(4) }, "eco", world);
+    assert.ok([...world.properties.keys()].every(key => !key.startsWith("%score")));
+    assert.equal(scoreboard.getObjective("coins").getScore("eco/bank"), 4);
+    assert.equal(Load.loadInstance("eco", routed).bank.coins, 4);
+});
+
+test("a failed atomic save keeps the old scores and tags", () => {
+    const scoreboard = new FakeScoreboard();
+    const entity = fakeEntity();
+    const storage = new RoutingBackend(new MemoryBackend({ maxTotalBytes: 400 }), { scoreboard, entity });
+    Save.saveInstance(new Stats(5, true), "stats", storage, { atomic: true });
+
+    const tooLarge = Object.assign(new Stats(7, false), { note: "x".repeat(400) });
+    assert.throws(() => Save.saveInstance(tooLarge, "stats", storage, { atomic: true }), { name: "StorageBackendError" });
+    assert.equal(scoreboard.getObjective("coins").getScore(entity), 5);
+    assert.ok(entity.tags.has("alive"));
+    assert.deepEqual({ ...Load.loadInstance("stats", storage) }, { coins: 5, alive: true, type: "Stats" });
+
+    Save.saveInstance(new Stats(7, false), "stats", storage, { atomic: true });
+    assert.equal(scoreboard.getObjective("coins").getScore(entity), 7);
+    assert.ok(!entity.tags.has("alive"));
+});
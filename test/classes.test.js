@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, MemoryBackend, initializeClasses, registerClass, storable } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+const calls = [];
+
+class Wallet {
+    constructor(coins = 0) {
+        this.coins = coins;
+        this.transactionHistory = [];
+        this.cache = null;
+    }
+
+    rebuildCache() {
+        this.cache = `${this.coins} coins`;
+    }
+}
+registerClass("Wallet", Wallet, {
+    ignore: ["cache"],
+    abbreviations: { transactionHistory: "h" },
+    referenceBased: true,
+    onBeforeSave: wallet => calls.push(["save", wallet.coins]),
+    onAfterLoad: wallet => wallet.rebuildCache()
+});
+
+const Vector = storable("Vector")(class Vector {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    toStorage() {
+        return `${this.x},${this.y}`;
+    }
+
+    static fromStorage(data) {
+        const [x, y] = data.split(",").map(Number);
+        return new Vector(x, y);
+    }
+});
+
+class Lamp {
+    constructor() {
+        this.on = false;
+    }
+
+    onBeforeSave() {
+        calls.push(["lamp", this.on]);
+    }
+
+    onAfterLoad() {
+        this.loaded = true;
+    }
+}
+registerClass("Lamp", Lamp);
+
+test("classes declare ignored and abbreviated fields and their hooks", () => {
+    const storage = new MemoryBackend();
+    const wallet = Object.assign(new Wallet(5), { cache: "stale" });
+    wallet.transactionHistory.push(2, 3);
+    calls.length = 0;
+    Save.saveInstance({ wallet }, "root", storage);
+
+    assert.deepEqual(calls, [["save", 5]]);
+    assert.ok(storage.keys().includes("root/wallet/h:n"));
+    assert.ok(storage.keys().every(key => !key.includes("cache")));
+    const loaded = Load.loadInstance("root", storage).wallet;
+    assert.ok(loaded instanceof Wallet);
+    assert.deepEqual(loaded.transactionHistory, [2, 3]);
+    assert.equal(loaded.cache, "5 coins");
+});
+
+test("reference based classes are stored once", () => {
+    const storage = new MemoryBackend();
+    const wallet = new Wallet(1);
+    Save.saveInstance({ mine: wallet, shared: wallet }, "root", storage);
+
+    const loaded = Load.loadInstance("root", storage);
+    assert.equal(loaded.mine, loaded.shared);
+    assert.equal(storage.keys().filter(key => key.endsWith("/coins")).length, 1);
+});
+
+test("toStorage and fromStorage replace the stored fields", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ at: new Vector(3, 4) }, "root", storage);
+
+    assert.ok(storage.keys().every(key => !key.endsWith("/x")));
+    const loaded = Load.loadInstance("root", storage).at;
+    assert.ok(loaded instanceof Vector);
+    assert.deepEqual({ ...loaded }, { x: 3, y: 4 });
+});
+
+test("hooks declared as methods run", () => {
+    const storage = new MemoryBackend();
+    calls.length = 0;
+    Save.saveInstance([new Lamp()], "root", storage);
+
+    assert.deepEqual(calls, [["lamp", false]]);
+    const [lamp] = Load.loadInstance("root", storage);
+    assert.ok(lamp instanceof Lamp);
+    assert.equal(lamp.loaded, true);
+});
+
+test("initializeClasses keeps registered classes", () => {
+    const storage = new MemoryBackend();
+    initializeClasses();
+    Save.saveInstance(new Vector(1, 2), "root", storage);
+    assert.ok(Load.loadInstance("root", storage) instanceof Vector);
+});
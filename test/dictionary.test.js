@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, MemoryBackend, initializeClasses } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+const listOf = name => ({ list: Array.from({ length: 30 }, (_, i) => ({ [name]: i })) });
+
+test("frequent field names get codes that older saves keep", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance(listOf("playerName"), "first", storage);
+    assert.deepEqual(JSON.parse(storage.get("%abbreviations")), ["playerName"]);
+    assert.equal(storage.get("first/list/0:k"), '["~a"]');
+
+    Save.saveInstance(listOf("experience"), "second", storage);
+    assert.deepEqual(JSON.parse(storage.get("%abbreviations")), ["playerName", "experience"]);
+    assert.deepEqual(Load.loadInstance("first", storage), listOf("playerName"));
+    assert.deepEqual(Load.loadInstance("second", storage), listOf("experience"));
+});
+
+test("rare field names and names starting with ~ are stored as they are", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ once: 1, "~0": 2 }, "root", storage);
+    assert.equal(storage.get("%abbreviations"), undefined);
+    assert.deepEqual(Load.loadInstance("root", storage), { once: 1, "~0": 2 });
+});
+
+test("saves running at the same time keep each other's names", async () => {
+    const storage = new MemoryBackend();
+    await Promise.all([
+        Save.saveInstanceAsync(listOf("alphaField"), "a", storage, { tickBudgetMs: 0 }),
+        Save.saveInstanceAsync(listOf("betaField"), "b", storage, { tickBudgetMs: 0 })
+    ]);
+    const running = Save.saveInstanceAsync(listOf("gammaField"), "c", storage, { tickBudgetMs: 0 });
+    Save.saveInstance(listOf("deltaField"), "d", storage);
+    await running;
+
+    assert.deepEqual(JSON.parse(storage.get("%abbreviations")).sort(), ["alphaField", "betaField", "deltaField", "gammaField"]);
+    assert.deepEqual(Load.loadInstance("a", storage), listOf("alphaField"));
+    assert.deepEqual(Load.loadInstance("b", storage), listOf("betaField"));
+    assert.deepEqual(Load.loadInstance("c", storage), listOf("gammaField"));
+    assert.deepEqual(Load.loadInstance("d", storage), listOf("deltaField"));
+});
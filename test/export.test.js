@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, MemoryBackend, initializeClasses, registerClass, exportRoot, importRoot, setStorageSecret, StorageFormatError } from '../DataStorageSystem.js';
+
+initializeClasses();
+setStorageSecret("test secret");
+
+class Badge {
+    constructor(level = 1) {
+        this.level = level;
+    }
+}
+registerClass("Badge", Badge);
+
+class Empty {
+    toStorage() {
+        return null;
+    }
+
+    static fromStorage(data) {
+        return Object.assign(new Empty(), { data });
+    }
+}
+registerClass("Empty", Empty);
+
+class Vault {
+    constructor(pin = "0000") {
+        this.pin = pin;
+    }
+}
+registerClass("Vault", Vault, { encrypt: ["pin"] });
+
+const sample = () => {
+    const shared = { id: 7 };
+    return {
+        badge: new Badge(3),
+        empty: new Empty(),
+        big: 5n,
+        when: new Date(1000),
+        items: new Map([["a", shared]]),
+        again: shared
+    };
+};
+
+test("export, import and export again yields the same document", () => {
+    const source = new MemoryBackend();
+    Save.saveInstance(sample(), "root", source, { trackAllReferences: true });
+    const document = exportRoot("root", source);
+
+    const target = new MemoryBackend();
+    importRoot(document, "root", target);
+    assert.equal(exportRoot("root", target), document);
+
+    const loaded = Load.loadInstance("root", target);
+    assert.ok(loaded.badge instanceof Badge);
+    assert.equal(loaded.badge.level, 3);
+    assert.equal(loaded.empty.data, null);
+    assert.equal(loaded.big, 5n);
+    assert.equal(loaded.items.get("a"), loaded.again);
+});
+
+test("import converts between the per-key layout and blobs", () => {
+    const source = new MemoryBackend();
+    Save.saveBlob(sample(), "root", source);
+    const document = exportRoot("root", source);
+    assert.equal(JSON.parse(document).layout, "blob");
+
+    const target = new MemoryBackend();
+    importRoot(document, "copy", target, { layout: "keys" });
+    assert.notEqual(target.get("copy:t"), "Blob");
+    assert.equal(Load.loadInstance("copy", target).badge.level, 3);
+});
+
+test("invalid documents are rejected with the problems found", () => {
+    const source = new MemoryBackend();
+    Save.saveInstance({ value: 1n, pos: { x: 1, y: 2, z: 3 } }, "root", source);
+    const document = JSON.parse(exportRoot("root", source));
+    const withField = (name, value) => {
+        const copy = structuredClone(document);
+        copy.data.objects[0].f[name] = value;
+        return copy;
+    };
+    const problemsOf = candidate => {
+        try {
+            importRoot(candidate, "target", new MemoryBackend());
+        } catch (error) {
+            assert.ok(error instanceof StorageFormatError);
+            return error.details.problems;
+        }
+        assert.fail("The document was accepted.");
+    };
+
+    assert.match(problemsOf("{")[0], /^SyntaxError/);
+    assert.deepEqual(problemsOf(withField("value", { s: "BigInt", v: "zz" })), ["data.objects[0].f.value has an invalid BigInt value."]);
+    assert.deepEqual(problemsOf(withField("value", { s: "Number", v: "1" })), ["data.objects[0].f.value has an invalid Number value."]);
+    assert.deepEqual(problemsOf(withField("pos", { s: "Vector3", v: "1,2" })), ["data.objects[0].f.pos has an invalid Vector3 value."]);
+    assert.deepEqual(problemsOf(withField("value", { s: "Int32Array", v: "AAA=" })), ["data.objects[0].f.value has an invalid Int32Array value."]);
+    assert.deepEqual(problemsOf(withField("value", { r: 5 })), ["data.objects[0].f.value references a missing object."]);
+
+    const nullData = structuredClone(document);
+    nullData.data.objects.push({ t: "Badge", d: null });
+    assert.deepEqual(problemsOf(nullData), ["data.objects[1].d must not be null."]);
+});
+
+test("encrypted fields, checksums and atomic saves survive an export", () => {
+    const source = new MemoryBackend();
+    Save.saveInstance({ vault: new Vault("1234") }, "root", source, { integrity: "mac", atomic: true });
+    const document = exportRoot("root", source);
+    assert.ok(!document.includes("1234"));
+    assert.equal(exportRoot("root", source), document);
+    assert.equal(JSON.parse(document).integrity, "mac");
+    assert.equal(JSON.parse(document).atomic, true);
+
+    const target = new MemoryBackend();
+    importRoot(document, "copy", target);
+    assert.equal(target.get("copy:h"), 1);
+    const report = {};
+    assert.equal(Load.loadInstance("copy", target, { integrity: "mac", report }).vault.pin, "1234");
+    assert.deepEqual(report.issues, []);
+    importRoot(document, "root", target);
+    assert.equal(exportRoot("root", target), document);
+});
+
+test("exports and imports fail instead of losing data", () => {
+    const source = new MemoryBackend();
+    Save.saveInstance({ vault: new Vault("1234") }, "root", source);
+    const document = exportRoot("root", source);
+
+    setStorageSecret(null);
+    try {
+        assert.throws(() => exportRoot("root", source), StorageFormatError);
+        assert.throws(() => importRoot(document, "root", new MemoryBackend()), StorageFormatError);
+    } finally {
+        setStorageSecret("test secret");
+    }
+    const moved = JSON.parse(document);
+    moved.rootKey = "other";
+    assert.throws(() => importRoot(moved, "other", new MemoryBackend()), StorageFormatError);
+
+    source.set("root/vault/pin", 1);
+    assert.throws(() => exportRoot("root", source), StorageFormatError);
+
+    const tooSmall = new MemoryBackend({ maxTotalBytes: 100 });
+    assert.throws(() => importRoot(document, "root", tooSmall, { layout: "blob" }), { name: "StorageBackendError" });
+    assert.throws(() => importRoot(document, "root", tooSmall, { layout: "keys" }), { name: "StorageBackendError" });
+});
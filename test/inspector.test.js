@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, StorageInspector, MemoryBackend, initializeClasses } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+test("usage follows the stored structure and counts every key of the root", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ name: "steve", items: [1, 2] }, "root", storage);
+    storage.set("other-addon", "untouched");
+
+    const usage = StorageInspector.usage("root", storage);
+    assert.equal(usage.properties, storage.keys().length - 1);
+    assert.deepEqual(usage.children.map(child => child.name), ["name", "items"]);
+    assert.equal(usage.children[1].type, "Array");
+    assert.equal(usage.children[1].children.length, 2);
+    assert.equal(StorageInspector.usage("missing", storage), null);
+});
+
+test("the report compares the backend totals with the budget", () => {
+    const storage = new MemoryBackend({ maxTotalBytes: 10_000 });
+    Save.saveInstance({ a: 1 }, "first", storage);
+    Save.saveBlob({ b: 2 }, "second", storage);
+
+    const report = StorageInspector.report(storage);
+    assert.equal(report.properties, storage.keys().length);
+    assert.equal(report.bytes, storage.byteCount());
+    assert.equal(report.budgetUsed, report.bytes / 10_000);
+    assert.deepEqual(report.roots.map(root => root.rootKey).sort(), ["first", "second"]);
+    assert.equal(StorageInspector.report(storage, { budgetBytes: report.bytes * 2 }).budgetUsed, 0.5);
+});
+
+test("the collector removes keys the root no longer reaches", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ keep: 1, drop: 2 }, "root", storage);
+    Save.saveInstance({ keep: 1 }, "root", storage);
+    storage.set("other-addon", "untouched");
+    storage.set("root/orphan", 3);
+
+    const dryRun = StorageInspector.collectGarbage(storage, { dryRun: true });
+    assert.deepEqual(dryRun.removed.sort(), ["root/drop", "root/orphan"]);
+    assert.equal(storage.get("root/drop"), 2);
+
+    assert.deepEqual(StorageInspector.collectGarbage(storage).removed.sort(), ["root/drop", "root/orphan"]);
+    assert.deepEqual(storage.keys().sort(), ["other-addon", "root/keep", "root:f", "root:k", "root:v"]);
+});
+
+test("legacy roots lose unreachable reference targets and report dangling references", () => {
+    const storage = new MemoryBackend();
+    storage.set("pkeys", "guild,lost");
+    storage.set("pguildtype", "storageReference");
+    storage.set("pguildkeys", "pointer");
+    storage.set("pguildpointer", "pAbc");
+    storage.set("pAbckeys", "name");
+    storage.set("pAbcname", "red");
+    storage.set("pXyzkeys", "name");
+    storage.set("pXyzname", "orphan");
+    storage.set("plosttype", "storageReference");
+    storage.set("plostkeys", "pointer");
+    storage.set("plostpointer", "pGone");
+
+    const result = StorageInspector.collectGarbage(storage, { legacyRoots: ["p"] });
+    assert.deepEqual(result.removed.sort(), ["pXyzkeys", "pXyzname"]);
+    assert.deepEqual(result.danglingReferences, ["plost"]);
+    assert.equal(storage.get("pAbcname"), "red");
+});
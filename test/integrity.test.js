@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, TrackedRoot, MemoryBackend, initializeClasses, registerClass, setStorageSecret, StorageFormatError } from '../DataStorageSystem.js';
+
+initializeClasses();
+setStorageSecret("test secret");
+
+class Account {
+    constructor(pin = "0000", note = "") {
+        this.pin = pin;
+        this.note = note;
+    }
+}
+registerClass("Account", Account, { encrypt: ["pin", "note"] });
+
+const issuesOf = (key, storage, options = {}) => {
+    const report = {};
+    const value = Load.loadInstance(key, storage, { ...options, report });
+    return { value, problems: report.issues.map(issue => issue.problem) };
+};
+
+test("encrypted fields are unreadable in storage and load decrypted", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance(new Account("1234", "hello"), "account", storage);
+
+    assert.ok(!JSON.stringify([...storage.data]).includes("1234"));
+    const { value, problems } = issuesOf("account", storage);
+    assert.equal(value.pin, "1234");
+    assert.equal(value.note, "hello");
+    assert.deepEqual(problems, []);
+});
+
+test("encrypted values copied to another field or root fail to decrypt", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance(new Account("1234", "hello"), "a", storage);
+    Save.saveInstance(new Account("9999", "other"), "b", storage);
+    storage.set("a/note", storage.get("a/pin"));
+    storage.set("b/pin", storage.get("a/pin"));
+
+    const a = issuesOf("a", storage);
+    assert.equal(a.value.note, undefined);
+    assert.deepEqual(a.problems, ["decryptionFailed"]);
+    const b = issuesOf("b", storage);
+    assert.equal(b.value.pin, undefined);
+    assert.deepEqual(b.problems, ["decryptionFailed"]);
+});
+
+test("encrypted fields inside blobs are bound to their node and field", () => {
+    const storage = new MemoryBackend();
+    Save.saveBlob({ first: new Account("1111"), second: new Account("2222") }, "blob", storage);
+    assert.equal(Load.loadInstance("blob", storage).second.pin, "2222");
+
+    const document = JSON.parse(storage.get("blob:b"));
+    const [first, second] = document.objects.filter(node => node.t === "Account");
+    second.f.pin = first.f.pin;
+    storage.set("blob:b", JSON.stringify(document));
+    const { value, problems } = issuesOf("blob", storage);
+    assert.equal(value.first.pin, "1111");
+    assert.equal(value.second.pin, undefined);
+    assert.deepEqual(problems, ["decryptionFailed"]);
+});
+
+test("a MAC detects changed and copied data", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ coins: 5 }, "bank", storage, { integrity: "mac" });
+    assert.deepEqual(issuesOf("bank", storage, { integrity: "mac" }).problems, []);
+
+    storage.set("bank/coins", 500);
+    assert.deepEqual(issuesOf("bank", storage).problems, ["checksumMismatch"]);
+    assert.throws(() => Load.loadInstance("bank", storage, { strict: true }), StorageFormatError);
+
+    Save.saveInstance({ coins: 5 }, "bank", storage, { integrity: "mac" });
+    for (const key of storage.keys().filter(key => key.startsWith("bank"))) storage.set(key.replace("bank", "copy"), storage.get(key));
+    assert.deepEqual(issuesOf("copy", storage).problems, ["checksumMismatch"]);
+});
+
+test("tracked roots keep their MAC up to date", () => {
+    const storage = new MemoryBackend();
+    const tracked = TrackedRoot.track({ coins: 5, pin: new Account("1234") }, "bank", storage, { integrity: "mac" });
+    tracked.flush();
+    tracked.value.coins = 6;
+    tracked.value.pin.pin = "4321";
+    tracked.flush();
+
+    const { value, problems } = issuesOf("bank", storage, { integrity: "mac" });
+    assert.equal(value.coins, 6);
+    assert.equal(value.pin.pin, "4321");
+    assert.deepEqual(problems, []);
+});
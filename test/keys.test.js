@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, MemoryBackend, initializeClasses } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+/**
+ * Writes `{ name: "steve", items: [1, 2], tags: Set { "a" } }` as older versions did: keys are
+ * plain concatenations and there is no format marker.
+ */
+const writeLegacyRoot = storage => {
+    storage.set("pkeys", "name,items,tags");
+    storage.set("pname", "steve");
+    storage.set("pitemskeys", "length,type");
+    storage.set("pitemslength", 2);
+    storage.set("pitemstype", "Array");
+    storage.set("pitems0", 1);
+    storage.set("pitems1", 2);
+    storage.set("ptagstype", "Set");
+    storage.set("ptagssize", 1);
+    storage.set("ptagsitem0", "a");
+};
+
+test("field names can't collide with metadata or each other", () => {
+    const storage = new MemoryBackend();
+    const data = { keys: 1, t: 2, size: 3, "a,b": 4, "minecraft:stone": 5, "a/b": 6, "%2F": 7, ab: { c: 8 }, a: { bc: 9 } };
+    Save.saveInstance(data, "root", storage);
+
+    assert.deepEqual({ ...Load.loadInstance("root", storage) }, data);
+    assert.equal(storage.get("root/minecraft%3Astone"), 5);
+    assert.equal(storage.get("root/a%2Fb"), 6);
+    assert.equal(storage.get("root/%252F"), 7);
+});
+
+test("map keys and root keys are escaped", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance(new Map([["x:y", 1], ["", 2]]), "player:steve", storage);
+    Save.saveInstance(3, "player", storage);
+
+    assert.deepEqual([...Load.loadInstance("player:steve", storage)], [["x:y", 1], ["", 2]]);
+    assert.equal(Load.loadInstance("player", storage), 3);
+    assert.ok(storage.keys().every(key => !key.startsWith("player:steve")));
+});
+
+test("roots of the old layout are read and converted on overwrite", () => {
+    const storage = new MemoryBackend();
+    writeLegacyRoot(storage);
+
+    const loaded = Load.loadInstance("p", storage);
+    assert.equal(loaded.name, "steve");
+    assert.deepEqual(loaded.items, [1, 2]);
+    assert.deepEqual([...loaded.tags], ["a"]);
+
+    Save.saveInstance(loaded, "p", storage, { overwrite: true });
+    assert.deepEqual(storage.keys().filter(key => !key.startsWith("p/") && !key.startsWith("p:")), []);
+    assert.equal(storage.get("p/name"), "steve");
+    assert.deepEqual(Load.loadInstance("p", storage).items, [1, 2]);
+});
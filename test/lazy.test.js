@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, MemoryBackend, initializeClasses, registerClass, StorageFormatError } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+let seenByHook = null;
+
+class Player {
+    onAfterLoad() {
+        seenByHook = Object.getOwnPropertyDescriptor(this, "name");
+    }
+}
+registerClass("Player", Player, { schema: { name: "string" } });
+
+class Purse {
+}
+registerClass("Purse", Purse, { schema: { coins: { type: "integer", coerce: false } } });
+
+/**
+ * Counts the reads of a memory backend.
+ */
+class CountingBackend extends MemoryBackend {
+    constructor() {
+        super();
+        this.reads = 0;
+    }
+
+    get(key) {
+        this.reads++;
+        return super.get(key);
+    }
+}
+
+const savePlayer = storage => {
+    const player = Object.assign(new Player(), { name: "steve", purse: Object.assign(new Purse(), { coins: "lots" }) });
+    Save.saveInstance({ player, log: Array.from({ length: 100 }, (_, i) => ({ i })) }, "root", storage);
+};
+
+test("lazy loads read fields on first access", () => {
+    const storage = new CountingBackend();
+    savePlayer(storage);
+    storage.reads = 0;
+
+    const root = Load.loadInstance("root", storage, { lazy: true });
+    const initialReads = storage.reads;
+    assert.equal(root.log[99].i, 99);
+    assert.ok(storage.reads > initialReads);
+    assert.ok(storage.reads < 40);
+});
+
+test("onAfterLoad sees the fields of its object loaded", () => {
+    const storage = new MemoryBackend();
+    savePlayer(storage);
+    seenByHook = null;
+
+    const root = Load.loadInstance("root", storage, { lazy: true });
+    assert.equal(root.player.name, "steve");
+    assert.deepEqual(seenByHook, { value: "steve", writable: true, enumerable: true, configurable: true });
+});
+
+test("issues of lazily loaded parts are reported when they load", () => {
+    const storage = new MemoryBackend();
+    savePlayer(storage);
+
+    const report = {};
+    const root = Load.loadInstance("root", storage, { lazy: true, report });
+    assert.deepEqual(report.issues, []);
+    root.player.purse.coins;
+    assert.deepEqual(report.issues.map(issue => issue.problem), ["invalidType"]);
+});
+
+test("strict loads ignore lazy and see every issue", () => {
+    const storage = new MemoryBackend();
+    savePlayer(storage);
+
+    assert.throws(() => Load.loadInstance("root", storage, { lazy: true, strict: true }), StorageFormatError);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, Migrations, MemoryBackend, initializeClasses, registerClass } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+class Wallet {
+    constructor(balance = 0) {
+        this.balance = balance;
+    }
+}
+registerClass("Wallet", Wallet);
+
+Migrations.register({ version: 2, type: "Wallet", migrate: wallet => { wallet.balance = wallet.coins; delete wallet.coins; } });
+Migrations.register({ version: 3, rootKey: "economy", migrate: root => ({ ...root, currency: "emerald" }) });
+
+const saveAtVersion = (instance, key, storage, version) => {
+    Save.saveInstance(instance, key, storage, { raw: true, schemaVersion: version });
+};
+
+test("roots store the current schema version", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ wallet: new Wallet(5) }, "economy", storage);
+    assert.equal(Migrations.getSchemaVersion(), 3);
+    assert.equal(storage.get("economy:v"), 3);
+});
+
+test("old data is migrated step by step before it is instantiated", () => {
+    const storage = new MemoryBackend();
+    saveAtVersion({ wallet: { type: "Wallet", coins: 7 } }, "economy", storage, 1);
+
+    const report = {};
+    const economy = Load.loadInstance("economy", storage, { report });
+    assert.ok(economy.wallet instanceof Wallet);
+    assert.equal(economy.wallet.balance, 7);
+    assert.equal("coins" in economy.wallet, false);
+    assert.equal(economy.currency, "emerald");
+    assert.deepEqual(report.migrations.map(migration => migration.name), ["Wallet@2", "economy@3"]);
+});
+
+test("only the missing steps run and root migrations only for their root", () => {
+    const storage = new MemoryBackend();
+    saveAtVersion({ wallet: { type: "Wallet", balance: 4 } }, "economy", storage, 2);
+    saveAtVersion({ wallet: { type: "Wallet", coins: 9 } }, "bank", storage, 1);
+
+    const report = {};
+    assert.equal(Load.loadInstance("economy", storage, { report }).wallet.balance, 4);
+    assert.deepEqual(report.migrations.map(migration => migration.name), ["economy@3"]);
+    const bank = Load.loadInstance("bank", storage, { report });
+    assert.equal(bank.wallet.balance, 9);
+    assert.equal(bank.currency, undefined);
+    assert.deepEqual(report.migrations.map(migration => migration.name), ["Wallet@2"]);
+});
+
+test("migrations run on plain data", () => {
+    const data = { wallet: { type: "Wallet", coins: 3 } };
+    const { data: migrated, applied } = Migrations.migrate(data, 1, { rootKey: "economy" });
+    assert.deepEqual(migrated, { wallet: { type: "Wallet", balance: 3 }, currency: "emerald" });
+    assert.deepEqual(applied.map(migration => migration.version), [2, 3]);
+    assert.deepEqual(Migrations.migrate({ wallet: { type: "Wallet", coins: 3 } }, 1, { toVersion: 2 }).applied.map(migration => migration.name), ["Wallet@2"]);
+});
+
+test("migrated data is stored with the new version on its next save", () => {
+    const storage = new MemoryBackend();
+    saveAtVersion({ wallet: { type: "Wallet", coins: 2 } }, "economy", storage, 1);
+    Save.saveInstance(Load.loadInstance("economy", storage), "economy", storage, { overwrite: true });
+
+    const report = {};
+    assert.equal(storage.get("economy:v"), 3);
+    assert.equal(Load.loadInstance("economy", storage, { report }).wallet.balance, 2);
+    assert.deepEqual(report.migrations, []);
+});
@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, Delete, MemoryBackend, initializeClasses, registerClass, StorageBackendError } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+class Wallet {
+    constructor(coins = 0) {
+        this.coins = coins;
+    }
+
+    add(amount) {
+        this.coins += amount;
+    }
+}
+registerClass("Wallet", Wallet);
+
+class Point {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    toStorage() {
+        return `${this.x};${this.y}`;
+    }
+
+    static fromStorage(data) {
+        const [x, y] = data.split(";").map(Number);
+        return new Point(x, y);
+    }
+}
+registerClass("Point", Point);
+
+const sample = () => ({
+    name: "steve",
+    flags: [true, false],
+    nested: { deep: { value: 3 } },
+    items: new Map([["minecraft:stone", 3], ["minecraft:dirt", 5]]),
+    tags: new Set(["a", "b"]),
+    wallet: new Wallet(12),
+    spawn: new Point(4, -2)
+});
+
+test("objects, containers and classes survive the per-key layout", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance(sample(), "player", storage);
+    const loaded = Load.loadInstance("player", storage);
+
+    assert.equal(loaded.name, "steve");
+    assert.deepEqual(loaded.flags, [true, false]);
+    assert.equal(loaded.nested.deep.value, 3);
+    assert.deepEqual([...loaded.items], [["minecraft:stone", 3], ["minecraft:dirt", 5]]);
+    assert.deepEqual([...loaded.tags], ["a", "b"]);
+    assert.ok(loaded.wallet instanceof Wallet);
+    loaded.wallet.add(3);
+    assert.equal(loaded.wallet.coins, 15);
+    assert.ok(loaded.spawn instanceof Point);
+    assert.deepEqual([loaded.spawn.x, loaded.spawn.y], [4, -2]);
+});
+
+test("blobs load like per-key roots", () => {
+    const storage = new MemoryBackend();
+    Save.saveBlob(sample(), "player", storage);
+    assert.equal(storage.get("player:t"), "Blob");
+    const loaded = Load.loadInstance("player", storage);
+
+    assert.equal(loaded.nested.deep.value, 3);
+    assert.equal(loaded.items.get("minecraft:dirt"), 5);
+    assert.ok(loaded.wallet instanceof Wallet);
+    assert.ok(loaded.spawn instanceof Point);
+});
+
+test("special values keep their type", () => {
+    const storage = new MemoryBackend();
+    const value = {
+        nothing: undefined,
+        empty: null,
+        nan: NaN,
+        negativeZero: -0,
+        infinity: -Infinity,
+        big: 12345678901234567890n,
+        date: new Date(86400000),
+        position: { x: 1, y: 2.5, z: -3 },
+        bytes: new Uint16Array([1, 65535])
+    };
+    Save.saveInstance(value, "special", storage);
+    const loaded = Load.loadInstance("special", storage);
+
+    assert.ok("nothing" in loaded);
+    assert.equal(loaded.nothing, undefined);
+    assert.equal(loaded.empty, null);
+    assert.ok(Number.isNaN(loaded.nan));
+    assert.ok(Object.is(loaded.negativeZero, -0));
+    assert.equal(loaded.infinity, -Infinity);
+    assert.equal(loaded.big, 12345678901234567890n);
+    assert.equal(loaded.date.getTime(), 86400000);
+    assert.deepEqual(loaded.position, { x: 1, y: 2.5, z: -3 });
+    assert.deepEqual([...loaded.bytes], [1, 65535]);
+    assert.ok(loaded.bytes instanceof Uint16Array);
+});
+
+test("long strings and wide objects are chunked", () => {
+    const storage = new MemoryBackend({ maxStringLength: 100 });
+    const book = "page ".repeat(200);
+    const wide = Object.fromEntries(Array.from({ length: 50 }, (_, i) => [`field${i}`, i]));
+    Save.saveInstance({ book, wide }, "library", storage);
+
+    assert.ok(storage.keys().some(key => /:c\d+$/.test(key)));
+    assert.ok(storage.keys().every(key => typeof storage.get(key) !== "string" || storage.get(key).length <= 100));
+    const loaded = Load.loadInstance("library", storage);
+    assert.equal(loaded.book, book);
+    assert.deepEqual(loaded.wide, wide);
+});
+
+test("shared and cyclic objects keep their identity with trackAllReferences", () => {
+    const storage = new MemoryBackend();
+    const shared = { id: 1 };
+    const root = { a: shared, b: shared, list: [shared] };
+    root.self = root;
+    Save.saveInstance(root, "graph", storage, { trackAllReferences: true });
+    assert.equal(storage.get("graph/b:p"), "graph/a");
+    const loaded = Load.loadInstance("graph", storage);
+
+    assert.equal(loaded.a, loaded.b);
+    assert.equal(loaded.list[0], loaded.a);
+    assert.equal(loaded.self, loaded);
+});
+
+test("overwrite removes what the new instance no longer has", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ keep: 1, drop: { deep: [1, 2, 3] } }, "root", storage);
+    Save.saveInstance({ keep: 2 }, "root", storage, { overwrite: true });
+
+    assert.deepEqual(Load.loadInstance("root", storage), { keep: 2 });
+    assert.ok(storage.keys().every(key => !key.includes("drop")));
+    Delete.deleteInstance("root", storage);
+    assert.deepEqual(storage.keys(), []);
+});
+
+test("a value of another kind replaces the old one without overwrite", () => {
+    const storage = new MemoryBackend();
+    const replaced = [
+        [new Date(0), 7],
+        [[1, 2], "hi"],
+        [{ x: 1 }, 3],
+        [new Wallet(5), { coins: 6 }],
+        [[1, 2], { 0: "a" }],
+        ["text", new Date(5)]
+    ];
+    for (const [before, after] of replaced) {
+        Save.saveInstance({ value: before }, "root", storage);
+        Save.saveInstance({ value: after }, "root", storage);
+        assert.deepEqual(Load.loadInstance("root", storage).value, after);
+    }
+    Save.saveInstance({ value: { nested: [1, 2] } }, "root", storage);
+    Save.saveInstance({ value: 1 }, "root", storage);
+    assert.ok(storage.keys().every(key => !key.startsWith("root/value/")));
+});
+
+test("type fields are plain fields unless they name a registered class", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ fire: { type: "fire" }, map: { type: "Map" }, wallet: { type: "Wallet", coins: 4 } }, "typed", storage);
+    const loaded = Load.loadInstance("typed", storage);
+
+    assert.deepEqual({ ...loaded.fire }, { type: "fire" });
+    assert.equal(loaded.map.type, "Map");
+    assert.ok(!(loaded.map instanceof Map));
+    assert.ok(loaded.wallet instanceof Wallet);
+    assert.equal(loaded.wallet.coins, 4);
+});
+
+test("a __proto__ field stays a field", () => {
+    const storage = new MemoryBackend();
+    const value = JSON.parse('{"__proto__": {"polluted": true}, "ok": 1}');
+    Save.saveInstance(value, "proto", storage);
+    const loaded = Load.loadInstance("proto", storage);
+
+    assert.equal(Object.getPrototypeOf(loaded), Object.prototype);
+    assert.equal(loaded.polluted, undefined);
+    assert.ok(Object.hasOwn(loaded, "__proto__"));
+    assert.equal(loaded.ok, 1);
+});
+
+test("the byte quota surfaces as StorageBackendError", () => {
+    const storage = new MemoryBackend({ maxTotalBytes: 40 });
+    assert.throws(() => storage.set("key", "x".repeat(100)), StorageBackendError);
+});
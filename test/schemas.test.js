@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, MemoryBackend, initializeClasses, registerClass, StorageFormatError } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+class Player {
+}
+registerClass("Player", Player, {
+    schema: {
+        name: { type: "string", required: true },
+        coins: { type: "integer", default: 0, min: 0, max: 1000 },
+        inventory: { type: "array", default: () => [] },
+        home: ["Vector3", "null"],
+        level: { type: "integer", min: 1, coerce: false, default: 1 }
+    }
+});
+
+const load = (storage, options = {}) => {
+    const report = {};
+    const value = Load.loadInstance("player", storage, { ...options, report });
+    return { value, issues: report.issues.map(({ field, problem, action }) => ({ field, problem, action })) };
+};
+
+const savePlayer = (storage, fields) => Save.saveInstance(Object.assign(new Player(), fields), "player", storage);
+
+test("valid data loads without issues", () => {
+    const storage = new MemoryBackend();
+    savePlayer(storage, { name: "steve", coins: 5, inventory: ["dirt"], home: null, level: 2 });
+
+    const { value, issues } = load(storage);
+    assert.ok(value instanceof Player);
+    assert.equal(value.coins, 5);
+    assert.deepEqual(issues, []);
+});
+
+test("missing fields get fresh defaults and missing required fields are reported", () => {
+    const storage = new MemoryBackend();
+    savePlayer(storage, {});
+    Save.saveInstance(new Player(), "other", storage);
+
+    const { value, issues } = load(storage);
+    assert.equal(value.coins, 0);
+    assert.equal(value.level, 1);
+    assert.notEqual(value.inventory, Load.loadInstance("other", storage).inventory);
+    assert.deepEqual(issues, [{ field: "name", problem: "missing", action: "none" }]);
+});
+
+test("bad values are coerced, replaced by the default or removed", () => {
+    const storage = new MemoryBackend();
+    savePlayer(storage, { name: 12, coins: "2000", level: "3", home: "garden" });
+
+    const { value, issues } = load(storage);
+    assert.equal(value.name, "12");
+    assert.equal(value.coins, 1000);
+    assert.equal(value.level, 1);
+    assert.equal("home" in value, false);
+    assert.deepEqual(issues.map(issue => `${issue.field} ${issue.action}`).sort(), ["coins coerced", "home removed", "level default", "name coerced"]);
+});
+
+test("unknown type tags are reported and loaded as plain objects", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ pet: { type: "Player", name: "rex" } }, "root", storage, { raw: true });
+    storage.set("root/pet:t", "Dragon");
+
+    const report = {};
+    const root = Load.loadInstance("root", storage, { report });
+    assert.equal(Object.getPrototypeOf(root.pet), Object.prototype);
+    assert.equal(root.pet.name, "rex");
+    assert.deepEqual(report.issues.map(issue => issue.problem), ["unknownType"]);
+});
+
+test("strict loads throw with the issues", () => {
+    const storage = new MemoryBackend();
+    savePlayer(storage, { name: "steve", coins: -5 });
+
+    assert.throws(() => load(storage, { strict: true }), error => {
+        assert.ok(error instanceof StorageFormatError);
+        assert.deepEqual(error.details.issues.map(issue => issue.field), ["coins"]);
+        return true;
+    });
+});
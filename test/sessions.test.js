@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Save, Load, Delete, StorageSession, StorageInspector, MemoryBackend, initializeClasses, registerClass } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+class Guild {
+    constructor(name = "") {
+        this.name = name;
+    }
+}
+registerClass("Guild", Guild, { referenceBased: true });
+
+test("each call loads its own objects without a shared session", () => {
+    const storage = new MemoryBackend();
+    Save.saveInstance({ guild: new Guild("red") }, "root", storage);
+
+    assert.notEqual(Load.loadInstance("root", storage).guild, Load.loadInstance("root", storage).guild);
+});
+
+test("objects shared across roots load as one instance with a shared session", () => {
+    const storage = new MemoryBackend();
+    const red = new Guild("red");
+    const session = new StorageSession();
+    Save.saveInstance({ list: [red] }, "guilds", storage, { session });
+    Save.saveInstance({ alice: { guild: red } }, "players", storage, { session });
+
+    const loadSession = new StorageSession();
+    const guilds = Load.loadInstance("guilds", storage, { session: loadSession });
+    const players = Load.loadInstance("players", storage, { session: loadSession });
+    assert.equal(players.alice.guild, guilds.list[0]);
+    assert.equal(players.alice.guild.name, "red");
+});
+
+test("objects shared across roots are stored once", () => {
+    const storage = new MemoryBackend();
+    const red = new Guild("red");
+    const session = new StorageSession();
+    Save.saveInstance({ list: [red] }, "guilds", storage, { session });
+    Save.saveInstance({ alice: { guild: red } }, "players", storage, { session });
+
+    assert.deepEqual(storage.keys().filter(key => key.endsWith("/name")), ["%shared/1.0/name"]);
+    assert.equal(storage.get("guilds/list/0:p"), "%shared/1.0");
+    assert.equal(storage.get("players/alice/guild:p"), "%shared/1.0");
+});
+
+test("saving a shared object again updates it for every root", async () => {
+    const storage = new MemoryBackend();
+    const red = new Guild("red");
+    Save.saveInstance({ list: [red] }, "guilds", storage, { session: new StorageSession() });
+    red.name = "crimson";
+    await Save.saveInstanceAsync({ alice: { guild: red } }, "players", storage, { session: new StorageSession() });
+    assert.equal(Load.loadInstance("guilds", storage).list[0].name, "crimson");
+
+    // Objects loaded from the shared area keep their identity.
+    const players = Load.loadInstance("players", storage);
+    players.alice.guild.name = "scarlet";
+    Save.saveInstance(players, "players", storage, { session: new StorageSession() });
+    assert.equal(Load.loadInstance("guilds", storage).list[0].name, "scarlet");
+    assert.equal(storage.keys().filter(key => key.endsWith("/name")).length, 1);
+});
+
+test("shared objects nothing references anymore are collected as garbage", () => {
+    const storage = new MemoryBackend();
+    const red = new Guild("red");
+    const session = new StorageSession();
+    Save.saveInstance({ list: [red] }, "guilds", storage, { session });
+    Save.saveInstance({ alice: { guild: red } }, "players", storage, { session });
+
+    Delete.deleteInstance("guilds", storage);
+    assert.deepEqual(StorageInspector.collectGarbage(storage).removed, []);
+    Save.saveInstance({ alice: {} }, "players", storage, { overwrite: true });
+    assert.deepEqual(StorageInspector.collectGarbage(storage).removed.sort(), ["%shared/1.0/name", "%shared/1.0:k", "%shared/1.0:t"]);
+    assert.ok(storage.keys().every(key => !key.startsWith("%shared/")));
+});
+
+test("re-saving or deleting one root keeps shared objects for the other roots", () => {
+    const storage = new MemoryBackend();
+    const red = new Guild("red");
+    const session = new StorageSession();
+    Save.saveInstance({ list: [red] }, "guilds", storage, { session });
+    Save.saveInstance({ alice: { guild: red } }, "players", storage, { session });
+
+    Save.saveInstance({ list: [] }, "guilds", storage, { overwrite: true });
+    assert.equal(Load.loadInstance("players", storage).alice.guild.name, "red");
+    Delete.deleteInstance("guilds", storage);
+    assert.equal(Load.loadInstance("players", storage).alice.guild.name, "red");
+});
+
+test("reference based objects are stored once per root", () => {
+    const storage = new MemoryBackend();
+    const red = new Guild("red");
+    Save.saveInstance({ a: red, b: red }, "root", storage);
+    const loaded = Load.loadInstance("root", storage);
+
+    assert.equal(loaded.a, loaded.b);
+    assert.equal(storage.keys().filter(key => key.endsWith("/name")).length, 1);
+});
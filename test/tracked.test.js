@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Load, TrackedRoot, MemoryBackend, initializeClasses, registerClass } from '../DataStorageSystem.js';
+
+initializeClasses();
+
+let hookCalls = 0;
+
+class Counter {
+    constructor() {
+        this.n = 0;
+    }
+
+    onBeforeSave() {
+        hookCalls++;
+    }
+}
+registerClass("Counter", Counter);
+
+test("flush writes only the changed fields", () => {
+    const storage = new MemoryBackend();
+    const tracked = TrackedRoot.track({ a: { x: 1 }, b: { y: 2 } }, "root", storage);
+    tracked.flush();
+
+    tracked.value.a.x = 5;
+    assert.equal(tracked.flush(), 1);
+    assert.equal(tracked.flush(), 0);
+    assert.deepEqual(Load.loadInstance("root", storage), { a: { x: 5 }, b: { y: 2 } });
+});
+
+test("onBeforeSave runs once per flush, also when it falls back to a full save", () => {
+    const storage = new MemoryBackend();
+    const shared = new Counter();
+    const tracked = TrackedRoot.track({ a: shared, b: shared }, "root", storage);
+    tracked.flush();
+
+    hookCalls = 0;
+    tracked.value.a.n = 1;
+    tracked.flush();
+    assert.equal(hookCalls, 1);
+
+    // Removing the first occurrence of a shared object needs a full save.
+    hookCalls = 0;
+    tracked.value.b.n = 2;
+    delete tracked.value.a;
+    tracked.flush();
+    assert.equal(hookCalls, 1);
+    assert.equal(Load.loadInstance("root", storage).b.n, 2);
+});